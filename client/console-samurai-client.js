@@ -1,9 +1,24 @@
 (function (global) {
   'use strict';
 
+  const PROTOCOL_VERSION = 2;
+  const BATCH_DELAY_MS = 16;
+  const HELLO_TIMEOUT_MS = 1000;
+  const CLOSE_DISCONNECTED = 4001;
+  const BODY_READ_TIMEOUT_MS = 2000;
+  // No %j: browsers print it as is, unlike Node's util.format.
+  const FORMAT_SPECIFIER_PATTERN = /%[sdifoOc%]/g;
+  const MAX_BYTE_PREVIEW = 64;
+  const MAX_HANDLES = 1000;
+  const TABLE_VALUES_COLUMN = 'Values';
+  const TEXT_CONTENT_PATTERN = /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/i;
+
   const DEFAULTS = {
     host: '127.0.0.1',
     port: 4973,
+    token: null,
+    workspace: null,
+    discoveryRange: 10,
     autoStart: true,
     captureConsole: true,
     captureErrors: true,
@@ -12,16 +27,38 @@
       maxDepth: 4,
       maxProps: 50,
       maxArray: 50,
-      maxStringLength: 2000
+      maxStringLength: 2000,
+      captureHeaders: false,
+      captureBodies: false,
+      maxBodyLength: 10000,
+      redactHeaders: ['authorization', 'cookie', 'set-cookie', 'proxy-authorization'],
+      captureChannels: false,
+      maxFrameLength: 1000,
+      frameSampleRate: 1
     }
   };
 
   const state = {
     ws: null,
     queue: [],
+    batch: [],
+    batchTimer: null,
+    ready: false,
+    server: null,
+    helloTimer: null,
     connected: false,
+    detached: false,
+    discovering: false,
+    discoveredPort: null,
     config: Object.assign({}, DEFAULTS, global.__CONSOLE_SAMURAI__ || {}),
     timers: new Map(),
+    counts: new Map(),
+    groupDepth: 0,
+    forwarding: false,
+    handles: new Map(),
+    handleIds: new WeakMap(),
+    handleSeq: 0,
+    channelSeq: 0,
     installed: false,
     originals: {}
   };
@@ -30,6 +67,7 @@
     if (options && typeof options === 'object') {
       state.config = Object.assign({}, state.config, options);
     }
+    state.detached = false;
     install();
     connect();
   }
@@ -48,40 +86,89 @@
     state.installed = true;
 
     patchConsole();
+    patchConsoleExtras();
     patchTimers();
     patchNetwork();
+    patchChannels();
     captureErrors();
   }
 
   function connect() {
+    if (state.ws || state.discovering) {
+      return;
+    }
+
+    if (state.config.workspace && global.fetch) {
+      state.discovering = true;
+      discoverPort().then(port => {
+        state.discovering = false;
+        state.discoveredPort = port;
+        openSocket();
+      });
+      return;
+    }
+
+    openSocket();
+  }
+
+  function openSocket() {
     if (state.ws) {
       return;
     }
 
-    const url = `ws://${state.config.host}:${state.config.port}`;
-    const ws = new WebSocket(url);
+    const url = buildServerUrl();
+    const BridgeSocket = state.originals.WebSocket || WebSocket;
+    const ws = new BridgeSocket(url);
     state.ws = ws;
 
     ws.addEventListener('open', () => {
       state.connected = true;
-      flushQueue();
-      send({ type: 'hello', client: { runtime: 'browser' } });
+      state.ready = false;
+      const client = { runtime: 'browser', context: detectContext(), url: global.location ? global.location.href : null, capabilities: typeof WeakRef === 'function' ? ['evaluate', 'inspect'] : ['evaluate'] };
+      if (client.context !== 'window' && global.name) {
+        client.name = String(global.name);
+      }
+      writeMessage({ type: 'hello', protocol: PROTOCOL_VERSION, client });
+      clearTimeout(state.helloTimer);
+      state.helloTimer = setTimeout(() => {
+        // A timer from an earlier connection must not settle this one.
+        if (state.ws === ws) {
+          markReady(null);
+        }
+      }, HELLO_TIMEOUT_MS);
     });
 
     ws.addEventListener('message', event => {
       try {
         const message = JSON.parse(event.data);
-        if (message.type === 'config') {
+        if (message.type === 'hello') {
+          markReady(message);
+        } else if (message.type === 'config') {
           state.config = Object.assign({}, state.config, message.config || {});
+        } else if (message.type === 'evaluate') {
+          evaluate(message);
+        } else if (message.type === 'inspect') {
+          inspect(message);
         }
       } catch (err) {
         // Ignore.
       }
     });
 
-    ws.addEventListener('close', () => {
+    ws.addEventListener('close', event => {
+      clearTimeout(state.helloTimer);
+      state.helloTimer = null;
       state.connected = false;
+      state.ready = false;
+      state.server = null;
       state.ws = null;
+      flushBatch();
+      if (event.code === CLOSE_DISCONNECTED) {
+        // Disconnected from VS Code on purpose: stay away until start() is called again.
+        state.detached = true;
+        state.queue = [];
+        return;
+      }
       retryConnect();
     });
 
@@ -90,6 +177,102 @@
     });
   }
 
+  function detectContext() {
+    // In workers location is the worker script URL, so the hello url identifies the script.
+    const scopes = [['service', 'ServiceWorkerGlobalScope'], ['shared', 'SharedWorkerGlobalScope'], ['dedicated', 'DedicatedWorkerGlobalScope']];
+    for (const [context, name] of scopes) {
+      if (typeof global[name] === 'function' && global instanceof global[name]) {
+        return context;
+      }
+    }
+    return 'window';
+  }
+
+  function evaluate(message) {
+    const socket = state.ws;
+    const reply = result => {
+      if (state.ws === socket && state.connected) {
+        writeMessage(Object.assign({ type: 'evaluateResult', requestId: message.requestId }, result));
+      }
+    };
+    if (!state.config.evalEnabled) {
+      reply({ ok: false, text: 'Evaluation is disabled' });
+      return;
+    }
+
+    new Promise(resolve => resolve((0, eval)(String(message.expression))))
+      .then(value => {
+        const serialized = serializeValues([value])[0];
+        reply({ ok: true, value: serialized, text: value === undefined ? 'undefined' : previewValue(serialized) });
+      })
+      .catch(error => {
+        const isError = error instanceof Error;
+        reply({
+          ok: false,
+          text: isError ? `${error.name}: ${error.message}` : `Uncaught ${previewValue(serializeValues([error])[0])}`,
+          error: isError ? { name: error.name, message: error.message, stack: error.stack || null } : null
+        });
+      });
+  }
+
+  function inspect(message) {
+    const ref = state.handles.get(message.handle);
+    const value = ref ? ref.deref() : undefined;
+    if (value === undefined) {
+      state.handles.delete(message.handle);
+      writeMessage({ type: 'inspectResult', requestId: message.requestId, ok: false, text: 'Object is no longer available' });
+      return;
+    }
+    // Serialize one level below the handle; deeper nodes get handles of their own.
+    const options = state.config.logCaptureOptions || DEFAULTS.logCaptureOptions;
+    const serialized = serializeValue(value, options, options.maxDepth - 1, new WeakSet());
+    writeMessage({ type: 'inspectResult', requestId: message.requestId, ok: true, value: serialized });
+  }
+
+  function discoverPort() {
+    const fetchFn = state.originals.fetch || global.fetch.bind(global);
+    const range = Math.max(0, state.config.discoveryRange || 0);
+    const tryPort = offset => {
+      if (offset > range) {
+        return Promise.resolve(null);
+      }
+      const url = `http://${state.config.host}:${state.config.port + offset}/console-samurai/discover`;
+      return fetchFn(url)
+        .then(response => (response.ok ? response.json() : null))
+        .catch(() => null)
+        .then(result => {
+          if (result && Array.isArray(result.windows)) {
+            return findWorkspacePort(result.windows);
+          }
+          return tryPort(offset + 1);
+        });
+    };
+    return tryPort(0);
+  }
+
+  function findWorkspacePort(windows) {
+    const target = String(state.config.workspace).replace(/\\/g, '/').toLowerCase();
+    for (const win of windows) {
+      for (const folder of win.workspaceFolders || []) {
+        const name = String(folder.name || '').toLowerCase();
+        const folderPath = String(folder.path || '').replace(/\\/g, '/').toLowerCase();
+        if (name === target || folderPath === target || folderPath.endsWith(`/${target}`)) {
+          return win.port;
+        }
+      }
+    }
+    return null;
+  }
+
+  function buildServerUrl() {
+    const port = state.discoveredPort || state.config.port;
+    const base = `ws://${state.config.host}:${port}/`;
+    if (!state.config.token) {
+      return base;
+    }
+    return `${base}?token=${encodeURIComponent(state.config.token)}`;
+  }
+
   function retryConnect() {
     setTimeout(() => {
       if (!state.ws) {
@@ -102,18 +285,80 @@
     if (!payload) {
       return;
     }
+    if (state.detached) {
+      return;
+    }
 
-    if (!state.connected || !state.ws || state.ws.readyState !== 1) {
+    if (!state.connected || !state.ready || !state.ws || state.ws.readyState !== 1) {
       state.queue.push(payload);
       return;
     }
 
+    if (payload.type === 'log' && supportsBatch()) {
+      state.batch.push(payload);
+      if (state.batch.length >= maxBatchEntries()) {
+        flushBatch();
+      } else if (!state.batchTimer) {
+        state.batchTimer = setTimeout(flushBatch, BATCH_DELAY_MS);
+      }
+      return;
+    }
+
+    writeMessage(payload);
+  }
+
+  function writeMessage(payload) {
     state.ws.send(JSON.stringify(payload));
   }
 
+  function markReady(serverHello) {
+    clearTimeout(state.helloTimer);
+    state.helloTimer = null;
+    if (state.ready || !state.connected) {
+      return;
+    }
+    state.ready = true;
+    state.server = serverHello;
+    flushQueue();
+  }
+
+  function supportsBatch() {
+    const server = state.server;
+    return Boolean(server && server.protocol >= 2 && Array.isArray(server.capabilities) && server.capabilities.includes('batch'));
+  }
+
+  function maxBatchEntries() {
+    const limits = state.server && state.server.limits;
+    return limits && limits.maxBatchEntries > 0 ? limits.maxBatchEntries : 100;
+  }
+
+  function flushBatch() {
+    clearTimeout(state.batchTimer);
+    state.batchTimer = null;
+
+    const entries = state.batch;
+    state.batch = [];
+    if (!entries.length) {
+      return;
+    }
+
+    if (!state.connected || !state.ws || state.ws.readyState !== 1) {
+      state.queue = entries.concat(state.queue);
+      return;
+    }
+
+    const size = maxBatchEntries();
+    for (let i = 0; i < entries.length; i += size) {
+      const chunk = entries.slice(i, i + size);
+      writeMessage(chunk.length === 1 ? chunk[0] : { type: 'batch', entries: chunk });
+    }
+  }
+
   function flushQueue() {
-    while (state.queue.length) {
-      send(state.queue.shift());
+    const queued = state.queue;
+    state.queue = [];
+    for (const payload of queued) {
+      send(payload);
     }
   }
 
@@ -132,17 +377,19 @@
           }
         }
 
-        if (!state.config.captureConsole) {
+        if (!state.config.captureConsole || state.forwarding) {
           return;
         }
 
         const stack = method === 'trace' ? new Error().stack : captureStack();
         const location = extractLocation(stack);
+        const message = formatMessage(args);
         send({
           type: 'log',
           kind: method === 'trace' ? 'trace' : method,
           level: method === 'trace' ? 'trace' : method,
-          text: formatPreview(args),
+          text: message.text,
+          segments: message.segments || undefined,
           values: serializeValues(args),
           timestamp: Date.now(),
           stack: stack || null,
@@ -155,6 +402,155 @@
     }
   }
 
+  function patchConsoleExtras() {
+    const handlers = {
+      group: args => openGroup(args, false),
+      groupCollapsed: args => openGroup(args, true),
+      groupEnd: () => closeGroup(),
+      table: args => describeTable(args[0], args[1]),
+      count: args => {
+        const label = countLabel(args[0]);
+        const count = (state.counts.get(label) || 0) + 1;
+        state.counts.set(label, count);
+        return { kind: 'count', text: `${label}: ${count}`, values: [{ label, count }], label };
+      },
+      countReset: args => {
+        state.counts.delete(countLabel(args[0]));
+        return null;
+      },
+      assert: args => {
+        if (args[0]) {
+          return null;
+        }
+        const rest = args.slice(1);
+        const text = rest.length ? `Assertion failed: ${formatPreview(rest)}` : 'Assertion failed';
+        return { kind: 'assert', level: 'error', text, values: serializeValues(rest) };
+      },
+      dir: args => ({ kind: 'dir', text: formatPreview(args.slice(0, 1)), values: serializeValues(args.slice(0, 1)) })
+    };
+
+    for (const method of Object.keys(handlers)) {
+      const original = console[method];
+      state.originals[method] = original;
+      console[method] = function () {
+        const args = Array.prototype.slice.call(arguments);
+        callOriginal(original, args);
+
+        // Group depth and counters follow the page even while capture is off.
+        const fields = handlers[method](args);
+        if (!fields || !state.config.captureConsole) {
+          return;
+        }
+
+        const stack = fields.kind === 'groupEnd' ? null : captureStack();
+        const location = extractLocation(stack);
+        send(Object.assign({
+          type: 'log',
+          level: 'log',
+          values: [],
+          timestamp: Date.now(),
+          stack: stack || null,
+          file: location.file,
+          line: location.line,
+          column: location.column,
+          source: 'browser'
+        }, fields));
+      };
+    }
+  }
+
+  function callOriginal(original, args) {
+    if (!original) {
+      return;
+    }
+    // Built-in console methods may report through console.log; don't capture those a second time.
+    const previous = state.forwarding;
+    state.forwarding = true;
+    try {
+      original.apply(console, args);
+    } catch (err) {
+      // ignore
+    } finally {
+      state.forwarding = previous;
+    }
+  }
+
+  function openGroup(args, collapsed) {
+    const depth = state.groupDepth;
+    const message = formatMessage(args);
+    state.groupDepth += 1;
+    return {
+      kind: 'group',
+      text: args.length ? message.text : 'console.group',
+      segments: message.segments || undefined,
+      values: serializeValues(args),
+      group: { action: 'start', collapsed, depth }
+    };
+  }
+
+  function closeGroup() {
+    if (state.groupDepth === 0) {
+      return null;
+    }
+    state.groupDepth -= 1;
+    return { kind: 'groupEnd', text: '', group: { action: 'end', depth: state.groupDepth } };
+  }
+
+  function countLabel(label) {
+    return label === undefined ? 'default' : String(label);
+  }
+
+  function describeTable(data, properties) {
+    if (!data || typeof data !== 'object') {
+      return { kind: 'log', text: formatPreview([data]), values: serializeValues([data]) };
+    }
+
+    const options = Object.assign({}, DEFAULTS.logCaptureOptions, state.config.logCaptureOptions);
+    const only = Array.isArray(properties) ? properties.map(String) : null;
+    const keys = Object.keys(data);
+    const columns = only ? only.slice() : [];
+    let hasValues = false;
+    const rows = keys.slice(0, options.maxArray).map(key => {
+      const value = data[key];
+      const cells = {};
+      if (value && typeof value === 'object') {
+        for (const column of Object.keys(value)) {
+          if (!columns.includes(column)) {
+            if (only || columns.length >= options.maxProps) {
+              continue;
+            }
+            columns.push(column);
+          }
+          cells[column] = previewCell(value[column], options);
+        }
+      } else {
+        hasValues = true;
+        cells[TABLE_VALUES_COLUMN] = previewCell(value, options);
+      }
+      return { key, cells };
+    });
+
+    if (hasValues && !only) {
+      columns.push(TABLE_VALUES_COLUMN);
+    }
+    return {
+      kind: 'table',
+      text: formatPreview([data]),
+      values: serializeValues([data]),
+      table: {
+        columns,
+        rows: rows.map(row => [row.key].concat(columns.map(column => (column in row.cells ? row.cells[column] : '')))),
+        truncated: keys.length > rows.length
+      }
+    };
+  }
+
+  function previewCell(value, options) {
+    const text = typeof value === 'string' ? JSON.stringify(value) : previewValue(value);
+    const result = text === undefined ? String(value) : text;
+    return result.length > options.maxStringLength ? `${result.slice(0, options.maxStringLength)}…` : result;
+  }
+
   function patchTimers() {
     const originalTime = console.time;
     const originalTimeEnd = console.timeEnd;
@@ -163,9 +559,7 @@
     console.time = function (label) {
       const key = label || 'default';
       state.timers.set(key, now());
-      if (originalTime) {
-        originalTime.call(console, label);
-      }
+      callOriginal(originalTime, [label]);
     };
 
     console.timeLog = function (label) {
@@ -191,9 +585,7 @@
           source: 'browser'
         });
       }
-      if (originalTimeLog) {
-        originalTimeLog.call(console, label);
-      }
+      callOriginal(originalTimeLog, [label]);
     };
 
     console.timeEnd = function (label) {
@@ -220,9 +612,7 @@
         });
       }
       state.timers.delete(key);
-      if (originalTimeEnd) {
-        originalTimeEnd.call(console, label);
-      }
+      callOriginal(originalTimeEnd, [label]);
     };
   }
 
@@ -239,21 +629,28 @@
         return originalFetch(input, init);
       }
       const start = now();
-      const method = (init && init.method) || 'GET';
-      const url = typeof input === 'string' ? input : (input && input.url) || '';
+      const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+      const method = (init && init.method) || (isRequest && input.method) || 'GET';
+      const url = typeof input === 'string' ? input : (input && input.url) || String(input || '');
+      const request = describeFetchRequest(input, init, isRequest);
       return originalFetch(input, init).then(response => {
         const durationMs = Math.round((now() - start) * 1000) / 1000;
-        send({
-          type: 'log',
-          kind: 'network',
-          level: 'network',
-          text: `${method} ${url} ${response.status} ${durationMs}ms`,
-          timestamp: Date.now(),
-          url,
-          method,
-          status: response.status,
-          durationMs,
-          source: 'browser'
+        const details = [request, describeFetchResponse(response)].map(promise => promise.catch(() => null));
+        Promise.all(details).then(([requestDetails, responseDetails]) => {
+          send({
+            type: 'log',
+            kind: 'network',
+            level: 'network',
+            text: `${method} ${url} ${response.status} ${durationMs}ms`,
+            timestamp: Date.now(),
+            url,
+            method,
+            status: response.status,
+            durationMs,
+            request: requestDetails,
+            response: responseDetails,
+            source: 'browser'
+          });
         });
         return response;
       }).catch(err => {
@@ -275,20 +672,111 @@
       });
     };
 
+    function describeFetchRequest(input, init, isRequest) {
+      const options = captureOptions();
+      if (!options.captureHeaders && !options.captureBodies) {
+        return Promise.resolve(null);
+      }
+
+      const details = {};
+      if (options.captureHeaders) {
+        const headers = init && init.headers ? init.headers : (isRequest ? input.headers : null);
+        details.headers = collectHeaders(headers, options);
+      }
+      if (!options.captureBodies) {
+        return Promise.resolve(details);
+      }
+      if (init && init.body != null) {
+        Object.assign(details, describeBody(init.body, options));
+        return Promise.resolve(details);
+      }
+      if (isRequest && input.body) {
+        return readText(input.clone()).then(text => Object.assign(details, describeText(text, options)));
+      }
+      return Promise.resolve(details);
+    }
+
+    function describeFetchResponse(response) {
+      const options = captureOptions();
+      if (!options.captureHeaders && !options.captureBodies) {
+        return Promise.resolve(null);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      const details = { contentType, size: parseContentLength(response.headers.get('content-length')) };
+      if (options.captureHeaders) {
+        details.headers = collectHeaders(response.headers, options);
+      }
+      if (!options.captureBodies || !TEXT_CONTENT_PATTERN.test(contentType) || /event-stream/i.test(contentType)) {
+        return Promise.resolve(details);
+      }
+      return readText(response.clone()).then(text => {
+        const body = describeText(text, options);
+        if (details.size == null && body.bodySize != null) {
+          details.size = body.bodySize;
+        }
+        return Object.assign(details, body);
+      });
+    }
+
+    function readText(message) {
+      // Long-lived streams never finish, so give up on the preview instead of holding the entry back.
+      // Reading the stream directly lets the copy be cancelled when that happens.
+      const reader = message.body && typeof message.body.getReader === 'function' && typeof TextDecoder !== 'undefined'
+        ? message.body.getReader()
+        : null;
+      let timer = null;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(() => {
+          if (reader) {
+            reader.cancel().catch(() => {});
+          }
+          resolve(null);
+        }, BODY_READ_TIMEOUT_MS);
+      });
+      const text = reader ? readStream(reader) : message.text();
+      return Promise.race([text.catch(() => null), timeout]).then(result => {
+        clearTimeout(timer);
+        return result;
+      });
+    }
+
+    function readStream(reader) {
+      const decoder = new TextDecoder();
+      let text = '';
+      const next = () => reader.read().then(({ done, value }) => {
+        if (done) {
+          return text + decoder.decode();
+        }
+        text += decoder.decode(value, { stream: true });
+        return next();
+      });
+      return next();
+    }
+
     if (global.XMLHttpRequest) {
       const proto = global.XMLHttpRequest.prototype;
       if (!proto.__consoleSamuraiPatched) {
         proto.__consoleSamuraiPatched = true;
         const originalOpen = proto.open;
         const originalSend = proto.send;
+        const originalSetRequestHeader = proto.setRequestHeader;
 
         proto.open = function (method, url) {
           this.__consoleSamuraiMethod = method;
           this.__consoleSamuraiUrl = url;
+          this.__consoleSamuraiHeaders = [];
           return originalOpen.apply(this, arguments);
         };
 
-        proto.send = function () {
+        proto.setRequestHeader = function (name, value) {
+          if (this.__consoleSamuraiHeaders) {
+            this.__consoleSamuraiHeaders.push([name, value]);
+          }
+          return originalSetRequestHeader.apply(this, arguments);
+        };
+
+        proto.send = function (body) {
           if (!state.config.networkEnabled) {
             return originalSend.apply(this, arguments);
           }
@@ -296,6 +784,7 @@
           const start = now();
           const method = this.__consoleSamuraiMethod || 'GET';
           const url = this.__consoleSamuraiUrl || '';
+          const request = describeXhrRequest(this, body);
           const onDone = () => {
             const durationMs = Math.round((now() - start) * 1000) / 1000;
             send({
@@ -308,6 +797,8 @@
               method,
               status: this.status,
               durationMs,
+              request,
+              response: describeXhrResponse(this),
               source: 'browser'
             });
             this.removeEventListener('loadend', onDone);
@@ -319,12 +810,287 @@
     }
   }
 
+  function describeXhrRequest(xhr, body) {
+    const options = captureOptions();
+    if (!options.captureHeaders && !options.captureBodies) {
+      return null;
+    }
+    const details = {};
+    if (options.captureHeaders) {
+      details.headers = collectHeaders(xhr.__consoleSamuraiHeaders || [], options);
+    }
+    if (options.captureBodies && body != null) {
+      Object.assign(details, describeBody(body, options));
+    }
+    return details;
+  }
+
+  function describeXhrResponse(xhr) {
+    const options = captureOptions();
+    if (!options.captureHeaders && !options.captureBodies) {
+      return null;
+    }
+
+    const contentType = xhr.getResponseHeader('content-type') || '';
+    const details = { contentType, size: parseContentLength(xhr.getResponseHeader('content-length')) };
+    if (options.captureHeaders) {
+      details.headers = collectHeaders(parseRawHeaders(xhr.getAllResponseHeaders()), options);
+    }
+    if (!options.captureBodies || !TEXT_CONTENT_PATTERN.test(contentType)) {
+      return details;
+    }
+
+    let text = null;
+    if (xhr.responseType === '' || xhr.responseType === 'text') {
+      text = xhr.responseText;
+    } else if (xhr.responseType === 'json') {
+      text = JSON.stringify(xhr.response);
+    }
+    const body = describeText(text, options);
+    if (details.size == null && body.bodySize != null) {
+      details.size = body.bodySize;
+    }
+    return Object.assign(details, body);
+  }
+
+  function captureOptions() {
+    return Object.assign({}, DEFAULTS.logCaptureOptions, state.config.logCaptureOptions);
+  }
+
+  // A missing header means the size is unknown, not zero.
+  function parseContentLength(value) {
+    if (value == null || value === '') {
+      return null;
+    }
+    const length = Number(value);
+    return Number.isFinite(length) && length >= 0 ? length : null;
+  }
+
+  function collectHeaders(headers, options) {
+    const result = {};
+    if (!headers) {
+      return result;
+    }
+    const redact = new Set((options.redactHeaders || []).map(name => String(name).toLowerCase()));
+    const add = (name, value) => {
+      const key = String(name).toLowerCase();
+      result[key] = redact.has(key) ? '[redacted]' : String(value);
+    };
+    if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+      headers.forEach((value, name) => add(name, value));
+    } else if (Array.isArray(headers)) {
+      headers.forEach(([name, value]) => add(name, value));
+    } else if (typeof headers === 'object') {
+      Object.keys(headers).forEach(name => add(name, headers[name]));
+    }
+    return result;
+  }
+
+  function parseRawHeaders(raw) {
+    return (raw || '').trim().split(/[\r\n]+/).filter(Boolean).map(line => {
+      const index = line.indexOf(':');
+      return [line.slice(0, index).trim(), line.slice(index + 1).trim()];
+    });
+  }
+
+  function describeBody(body, options) {
+    if (typeof body === 'string') {
+      return describeText(body, options);
+    }
+    if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+      return describeText(body.toString(), options);
+    }
+    if (typeof FormData !== 'undefined' && body instanceof FormData) {
+      const fields = [];
+      body.forEach((value, name) => {
+        fields.push(`${name}=${typeof value === 'string' ? value : `[File ${value.name || ''}]`}`);
+      });
+      return describeText(fields.join('\n'), options);
+    }
+    if (typeof Blob !== 'undefined' && body instanceof Blob) {
+      return { body: `[Blob ${body.type || 'binary'}]`, bodySize: body.size, truncated: false };
+    }
+    if (body && typeof body.byteLength === 'number') {
+      return { body: `[Binary ${body.byteLength} bytes]`, bodySize: body.byteLength, truncated: false };
+    }
+    return { body: `[${Object.prototype.toString.call(body).slice(8, -1)}]`, bodySize: null, truncated: false };
+  }
+
+  function describeText(text, options) {
+    if (typeof text !== 'string') {
+      return { body: null, bodySize: null, truncated: false };
+    }
+    const maxLength = options.maxBodyLength;
+    const bodySize = typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(text).length : text.length;
+    if (text.length > maxLength) {
+      return { body: text.slice(0, maxLength), bodySize, truncated: true };
+    }
+    return { body: text, bodySize, truncated: false };
+  }
+
+  function patchChannels() {
+    const OriginalWebSocket = global.WebSocket;
+    if (typeof OriginalWebSocket === 'function') {
+      // The bridge socket is opened with the original constructor, so it never shows up here.
+      state.originals.WebSocket = OriginalWebSocket;
+      // Reflect.construct keeps subclasses (class X extends WebSocket) working.
+      const PatchedWebSocket = function WebSocket(url) {
+        const socket = Reflect.construct(OriginalWebSocket, arguments, new.target || PatchedWebSocket);
+        if (channelsEnabled()) {
+          trackWebSocket(socket, String(url));
+        }
+        return socket;
+      };
+      PatchedWebSocket.prototype = OriginalWebSocket.prototype;
+      Object.setPrototypeOf(PatchedWebSocket, OriginalWebSocket);
+      global.WebSocket = PatchedWebSocket;
+    }
+
+    const OriginalEventSource = global.EventSource;
+    if (typeof OriginalEventSource === 'function') {
+      state.originals.EventSource = OriginalEventSource;
+      const PatchedEventSource = function EventSource(url) {
+        const source = Reflect.construct(OriginalEventSource, arguments, new.target || PatchedEventSource);
+        if (channelsEnabled()) {
+          trackEventSource(source, String(url));
+        }
+        return source;
+      };
+      PatchedEventSource.prototype = OriginalEventSource.prototype;
+      Object.setPrototypeOf(PatchedEventSource, OriginalEventSource);
+      global.EventSource = PatchedEventSource;
+    }
+  }
+
+  function channelsEnabled() {
+    return Boolean(state.config.networkEnabled && captureOptions().captureChannels);
+  }
+
+  function trackWebSocket(socket, url) {
+    const channel = openChannel('websocket', url);
+
+    const originalSend = socket.send;
+    socket.send = function (data) {
+      channel.frame('send', 'out', data);
+      return originalSend.apply(this, arguments);
+    };
+    socket.addEventListener('open', () => channel.lifecycle('open', { protocol: socket.protocol || null }));
+    socket.addEventListener('message', event => channel.frame('message', 'in', event.data));
+    socket.addEventListener('error', () => channel.lifecycle('error'));
+    socket.addEventListener('close', event => {
+      channel.lifecycle('close', { code: event.code, reason: event.reason || '', wasClean: event.wasClean });
+    });
+  }
+
+  function trackEventSource(source, url) {
+    const channel = openChannel('eventsource', url);
+    const observed = new Set();
+    const observe = type => {
+      if (observed.has(type)) {
+        return;
+      }
+      observed.add(type);
+      source.addEventListener(type, event => channel.frame(type, 'in', event.data));
+    };
+
+    // Named events only reach listeners registered for that name, so follow the page's own subscriptions.
+    const originalAddEventListener = source.addEventListener;
+    source.addEventListener = function (type) {
+      if (typeof type === 'string' && !['open', 'error', 'message'].includes(type)) {
+        observe(type);
+      }
+      return originalAddEventListener.apply(this, arguments);
+    };
+    const originalClose = source.close;
+    source.close = function () {
+      if (source.readyState !== 2) {
+        channel.lifecycle('close');
+      }
+      return originalClose.apply(this, arguments);
+    };
+
+    originalAddEventListener.call(source, 'open', () => channel.lifecycle('open'));
+    originalAddEventListener.call(source, 'error', () => {
+      // EventSource reconnects on its own; it only gives up when readyState is CLOSED.
+      channel.lifecycle(source.readyState === 2 ? 'close' : 'error');
+    });
+    observe('message');
+  }
+
+  function openChannel(type, url) {
+    const id = ++state.channelSeq;
+    const prefix = type === 'websocket' ? 'WS' : 'SSE';
+    const stats = { frames: 0, recorded: 0 };
+    let closed = false;
+
+    const emit = (event, text, details, location) => {
+      send({
+        type: 'log',
+        kind: 'channel',
+        level: 'network',
+        text: `${prefix} ${text}`,
+        timestamp: Date.now(),
+        url,
+        channel: Object.assign({ id, type, event }, details),
+        file: location ? location.file : null,
+        line: location ? location.line : null,
+        column: location ? location.column : null,
+        source: 'browser'
+      });
+    };
+
+    const stack = captureStack();
+    emit('connect', `connect ${url}`, {}, extractLocation(stack));
+
+    return {
+      lifecycle(event, details) {
+        if (closed) {
+          return;
+        }
+        const fields = Object.assign({}, details);
+        let text = `${event} ${url}`;
+        if (event === 'close') {
+          closed = true;
+          Object.assign(fields, stats);
+          text = fields.code != null ? `close ${fields.code}${fields.reason ? ` ${fields.reason}` : ''}` : 'close';
+        }
+        emit(event, text, fields, null);
+      },
+      frame(event, direction, data) {
+        stats.frames += 1;
+        const options = captureOptions();
+        const rate = Number(options.frameSampleRate);
+        if (rate < 1 && !(Math.random() < rate)) {
+          return;
+        }
+        stats.recorded += 1;
+        const frame = describeFrame(data, options);
+        const arrow = direction === 'out' ? '\u2191' : '\u2193';
+        const name = type === 'eventsource' && event !== 'message' ? `[${event}] ` : '';
+        emit(event, `${arrow} ${name}${frame.data}`, Object.assign({ direction, seq: stats.frames }, frame), null);
+      }
+    };
+  }
+
+  function describeFrame(data, options) {
+    if (typeof data === 'string') {
+      const text = describeText(data, { maxBodyLength: options.maxFrameLength });
+      return { data: text.body, size: text.bodySize, truncated: text.truncated, binary: false };
+    }
+    const described = describeBody(data, options);
+    return { data: described.body, size: described.bodySize, truncated: false, binary: true };
+  }
+
+  // The listeners are installed even when errors are off, so a later config can turn them on.
   function captureErrors() {
-    if (!state.config.captureErrors || !global.addEventListener) {
+    if (!global.addEventListener) {
       return;
     }
 
     global.addEventListener('error', event => {
+      if (!state.config.captureErrors) {
+        return;
+      }
       const error = event.error || new Error(event.message);
       const stack = error && error.stack ? error.stack : captureStack();
       const location = extractLocation(stack);
@@ -344,6 +1110,9 @@
     });
 
     global.addEventListener('unhandledrejection', event => {
+      if (!state.config.captureErrors) {
+        return;
+      }
       const error = event.reason instanceof Error ? event.reason : new Error(String(event.reason));
       const stack = error && error.stack ? error.stack : captureStack();
       const location = extractLocation(stack);
@@ -400,14 +1169,24 @@
 
   function serializeValue(value, options, depth, seen) {
     const type = typeof value;
-    if (value === null || type === 'undefined' || type === 'number' || type === 'boolean') {
+    if (value === null || type === 'boolean') {
       return value;
     }
+    if (type === 'number') {
+      // JSON has no NaN, Infinity or -0.
+      if (Number.isFinite(value) && !Object.is(value, -0)) {
+        return value;
+      }
+      return { __type: 'number', value: Object.is(value, -0) ? '-0' : String(value) };
+    }
+    if (type === 'undefined') {
+      return { __type: 'undefined' };
+    }
     if (type === 'bigint') {
-      return value.toString();
+      return { __type: 'bigint', value: value.toString() };
     }
     if (type === 'symbol') {
-      return value.toString();
+      return { __type: 'symbol', value: value.toString() };
     }
     if (type === 'string') {
       if (value.length > options.maxStringLength) {
@@ -416,50 +1195,249 @@
       return value;
     }
     if (type === 'function') {
-      return `[Function ${value.name || 'anonymous'}]`;
+      return { __type: 'function', name: value.name || '', isClass: isClassFunction(value) };
+    }
+    if (seen.has(value)) {
+      return { __type: 'circular' };
     }
+
+    const className = getClassName(value);
     if (value instanceof Error) {
-      return { name: value.name, message: value.message, stack: value.stack };
+      return serializeError(value, className, options, depth, seen);
     }
     if (value instanceof Date) {
-      return value.toISOString();
+      return { __type: 'date', value: Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString() };
+    }
+    if (value instanceof RegExp) {
+      return { __type: 'regexp', value: String(value) };
     }
     if (typeof Element !== 'undefined' && value instanceof Element) {
-      return `<${value.tagName.toLowerCase()}${value.id ? `#${value.id}` : ''}>`;
+      return { __type: 'element', value: `<${value.tagName.toLowerCase()}${value.id ? `#${value.id}` : ''}>` };
     }
-    if (seen.has(value)) {
-      return '[Circular]';
+    if (ArrayBuffer.isView(value)) {
+      if (typeof value.length !== 'number') {
+        return { __type: 'arraybuffer', className, byteLength: value.byteLength, bytes: previewBytes(value.buffer, value.byteOffset, value.byteLength) };
+      }
+      const limit = Math.min(value.length, options.maxArray);
+      const values = Array.from(value.subarray(0, limit), item => (typeof item === 'bigint' ? { __type: 'bigint', value: item.toString() } : item));
+      return { __type: 'typedarray', className, length: value.length, values, truncated: value.length - limit };
+    }
+    if (className === 'ArrayBuffer' || className === 'SharedArrayBuffer') {
+      return { __type: 'arraybuffer', className, byteLength: value.byteLength, bytes: previewBytes(value, 0, value.byteLength) };
+    }
+    if (value instanceof Promise || value instanceof WeakMap || value instanceof WeakSet) {
+      // Their contents can't be read without side effects (or at all).
+      return { __type: value instanceof Promise ? 'promise' : 'weak', className };
     }
     if (depth >= options.maxDepth) {
-      return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+      const size = Array.isArray(value) ? value.length : (value instanceof Map || value instanceof Set ? value.size : null);
+      return { __type: 'collapsed', className: Array.isArray(value) ? 'Array' : className, size, handle: registerHandle(value) };
     }
+
     seen.add(value);
-    if (Array.isArray(value)) {
-      const limit = Math.min(value.length, options.maxArray);
-      const arr = [];
-      for (let i = 0; i < limit; i += 1) {
-        arr.push(serializeValue(value[i], options, depth + 1, seen));
+    try {
+      if (value instanceof Map || value instanceof Set) {
+        const limit = Math.min(value.size, options.maxArray);
+        const items = [];
+        for (const item of value instanceof Map ? value.entries() : value.values()) {
+          if (items.length >= limit) {
+            break;
+          }
+          items.push(value instanceof Map
+            ? [serializeValue(item[0], options, depth + 1, seen), serializeValue(item[1], options, depth + 1, seen)]
+            : serializeValue(item, options, depth + 1, seen));
+        }
+        const key = value instanceof Map ? 'entries' : 'values';
+        return { __type: value instanceof Map ? 'map' : 'set', className, size: value.size, [key]: items, truncated: value.size - limit };
+      }
+      if (Array.isArray(value)) {
+        const limit = Math.min(value.length, options.maxArray);
+        const arr = [];
+        for (let i = 0; i < limit; i += 1) {
+          arr.push(serializeValue(value[i], options, depth + 1, seen));
+        }
+        if (value.length > limit) {
+          arr.push({ __type: 'more', count: value.length - limit });
+        }
+        return arr;
       }
-      if (value.length > limit) {
-        arr.push(`... (${value.length - limit} more)`);
+
+      const props = serializeProperties(value, options, depth, seen, []);
+      if (className === 'Object' && !Object.prototype.hasOwnProperty.call(props.values, '__type')) {
+        if (props.truncated) {
+          props.values.__truncated__ = `${props.truncated} more keys`;
+        }
+        return props.values;
       }
-      return arr;
+      return { __type: 'object', className: className || 'Object', nullPrototype: className === null, props: props.values, truncated: props.truncated };
+    } finally {
+      seen.delete(value);
+    }
+  }
+
+  // Objects cut off by maxDepth stay inspectable while they are alive. The registry only holds
+  // weak references, and the oldest handles are dropped once it is full.
+  function registerHandle(value) {
+    if (typeof WeakRef !== 'function') {
+      return null;
     }
-    const keys = Object.keys(value);
+    const existing = state.handleIds.get(value);
+    if (existing && state.handles.has(existing)) {
+      // Logging the object again makes its handle the newest one.
+      const ref = state.handles.get(existing);
+      state.handles.delete(existing);
+      state.handles.set(existing, ref);
+      return existing;
+    }
+    state.handleSeq += 1;
+    state.handles.set(state.handleSeq, new WeakRef(value));
+    state.handleIds.set(value, state.handleSeq);
+    if (state.handles.size > MAX_HANDLES) {
+      state.handles.delete(state.handles.keys().next().value);
+    }
+    return state.handleSeq;
+  }
+
+  function serializeProperties(value, options, depth, seen, skip) {
+    const keys = Object.keys(value).filter(key => !skip.includes(key))
+      .concat(Object.getOwnPropertySymbols(value).filter(symbol => Object.prototype.propertyIsEnumerable.call(value, symbol)));
     const limit = Math.min(keys.length, options.maxProps);
-    const obj = {};
+    const values = {};
     for (let i = 0; i < limit; i += 1) {
       const key = keys[i];
-      obj[key] = serializeValue(value[key], options, depth + 1, seen);
+      const name = typeof key === 'symbol' ? `[${key.toString()}]` : key;
+      const descriptor = Object.getOwnPropertyDescriptor(value, key);
+      if (descriptor && (descriptor.get || descriptor.set)) {
+        // Reading a getter could have side effects, so only note that it is there.
+        values[name] = { __type: 'accessor', getter: Boolean(descriptor.get), setter: Boolean(descriptor.set) };
+      } else {
+        values[name] = serializeValue(descriptor ? descriptor.value : value[key], options, depth + 1, seen);
+      }
     }
-    if (keys.length > limit) {
-      obj.__truncated__ = `${keys.length - limit} more keys`;
+    return { values, truncated: keys.length - limit };
+  }
+
+  function serializeError(error, className, options, depth, seen) {
+    const result = {
+      __type: 'error',
+      className,
+      name: String(error.name),
+      message: String(error.message),
+      stack: typeof error.stack === 'string' ? serializeValue(error.stack, options, depth, seen) : null
+    };
+    seen.add(error);
+    try {
+      if (depth < options.maxDepth) {
+        if ('cause' in error) {
+          result.cause = serializeValue(error.cause, options, depth + 1, seen);
+        }
+        if (Array.isArray(error.errors)) {
+          result.errors = serializeValue(error.errors, options, depth + 1, seen);
+        }
+        const props = serializeProperties(error, options, depth, seen, ['stack', 'message', 'cause', 'errors']);
+        if (Object.keys(props.values).length) {
+          result.props = props.values;
+        }
+      }
+    } finally {
+      seen.delete(error);
+    }
+    return result;
+  }
+
+  function getClassName(value) {
+    try {
+      const proto = Object.getPrototypeOf(value);
+      if (!proto) {
+        return null;
+      }
+      const ctor = proto.constructor;
+      return typeof ctor === 'function' && ctor.name ? ctor.name : 'Object';
+    } catch (err) {
+      return 'Object';
+    }
+  }
+
+  function isClassFunction(fn) {
+    try {
+      return /^class[\s{]/.test(Function.prototype.toString.call(fn));
+    } catch (err) {
+      return false;
+    }
+  }
+
+  function previewBytes(buffer, offset, length) {
+    try {
+      const bytes = new Uint8Array(buffer, offset, Math.min(length, MAX_BYTE_PREVIEW));
+      return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(' ');
+    } catch (err) {
+      return '';
     }
-    return obj;
   }
 
   function formatPreview(values) {
-    return values.map(value => previewValue(value)).join(' ');
+    return formatMessage(values).text;
+  }
+
+  function formatMessage(values) {
+    const first = values[0];
+    if (typeof first !== 'string' || values.length < 2) {
+      return { text: values.map(value => previewValue(value)).join(' '), segments: null };
+    }
+
+    // Console format specifiers only apply when there is something to substitute.
+    const segments = [];
+    let style = null;
+    let current = '';
+    let index = 1;
+    let last = 0;
+    FORMAT_SPECIFIER_PATTERN.lastIndex = 0;
+    let match = FORMAT_SPECIFIER_PATTERN.exec(first);
+    while (match) {
+      current += first.slice(last, match.index);
+      last = FORMAT_SPECIFIER_PATTERN.lastIndex;
+      const specifier = match[0][1];
+      if (specifier === '%') {
+        current += '%';
+      } else if (index >= values.length) {
+        current += match[0];
+      } else if (specifier === 'c') {
+        segments.push({ text: current, style: style || '' });
+        current = '';
+        style = String(values[index++]);
+      } else {
+        current += formatSpecifier(specifier, values[index++]);
+      }
+      match = FORMAT_SPECIFIER_PATTERN.exec(first);
+    }
+    current += first.slice(last);
+    for (const value of values.slice(index)) {
+      current += ` ${previewValue(value)}`;
+    }
+
+    if (style === null) {
+      return { text: current, segments: null };
+    }
+    segments.push({ text: current, style });
+    const styled = segments.filter(segment => segment.text);
+    return { text: styled.map(segment => segment.text).join(''), segments: styled };
+  }
+
+  function formatSpecifier(specifier, value) {
+    const type = typeof value;
+    if (specifier === 's') {
+      if (type === 'bigint') {
+        return `${value}n`;
+      }
+      return value !== null && (type === 'object' || type === 'function') ? previewValue(value) : String(value);
+    }
+    if (specifier === 'd' || specifier === 'i') {
+      return type === 'symbol' ? 'NaN' : String(parseInt(value, 10));
+    }
+    if (specifier === 'f') {
+      return type === 'symbol' ? 'NaN' : String(parseFloat(value));
+    }
+    return previewValue(value);
   }
 
   function previewValue(value) {
@@ -489,4 +1467,4 @@
     stop,
     send
   };
-})(typeof window !== 'undefined' ? window : this);
+})(typeof globalThis !== 'undefined' ? globalThis : typeof self !== 'undefined' ? self : this);
@@ -1,19 +1,64 @@
 'use strict';
 
+const childProcess = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+const util = require('util');
 const WebSocket = require('ws');
 const { performance } = require('perf_hooks');
 
+let inspector = null;
+try {
+  inspector = require('inspector');
+} catch (err) {
+  // Builds without the inspector cannot install logpoints.
+}
+
+let workerThreads = null;
+try {
+  workerThreads = require('worker_threads');
+} catch (err) {
+  // Runtimes without worker threads only have the main thread.
+}
+
+const REGISTRY_DIR = path.join(os.tmpdir(), 'console-samurai');
+const PROTOCOL_VERSION = 2;
+const BATCH_DELAY_MS = 16;
+const HELLO_TIMEOUT_MS = 1000;
+const CLOSE_DISCONNECTED = 4001;
+const LOGPOINT_HOOK = '__consoleSamuraiLogpoint';
+const PARENT_ENV = 'CONSOLE_SAMURAI_PARENT';
+const MAX_COMMAND_LENGTH = 1000;
+const BODY_READ_TIMEOUT_MS = 2000;
+const FORMAT_SPECIFIER_PATTERN = /%[sdifoOjc%]/g;
+const MAX_BYTE_PREVIEW = 64;
+const MAX_HANDLES = 1000;
+const TABLE_VALUES_COLUMN = 'Values';
+const TEXT_CONTENT_PATTERN = /^text\/|json|xml|javascript|x-www-form-urlencoded|graphql/i;
+
 const DEFAULTS = {
   host: '127.0.0.1',
   port: 4973,
+  token: null,
   autoStart: true,
   captureConsole: true,
   captureErrors: true,
+  networkEnabled: true,
+  attachChildren: true,
   logCaptureOptions: {
     maxDepth: 4,
     maxProps: 50,
     maxArray: 50,
-    maxStringLength: 2000
+    maxStringLength: 2000,
+    captureHeaders: false,
+    captureBodies: false,
+    maxBodyLength: 10000,
+    redactHeaders: ['authorization', 'cookie', 'set-cookie', 'proxy-authorization']
   }
 };
 
@@ -38,15 +83,80 @@ function parseEnvConfig(raw) {
   return {};
 }
 
+function findRegistryWindow(cwd) {
+  let names = [];
+  try {
+    names = fs.readdirSync(REGISTRY_DIR).filter(name => /^window-\d+\.json$/.test(name));
+  } catch (err) {
+    return null;
+  }
+
+  const target = path.resolve(cwd);
+  let best = null;
+  let bestLength = -1;
+  for (const name of names) {
+    let record;
+    try {
+      record = JSON.parse(fs.readFileSync(path.join(REGISTRY_DIR, name), 'utf8'));
+    } catch (err) {
+      continue;
+    }
+    if (!record || !isProcessAlive(record.pid)) {
+      continue;
+    }
+    for (const folder of record.workspaceFolders || []) {
+      const folderPath = path.resolve(folder.path || '');
+      const inside = target === folderPath || target.startsWith(folderPath + path.sep);
+      if (inside && folderPath.length > bestLength) {
+        best = record;
+        bestLength = folderPath.length;
+      }
+    }
+  }
+
+  return best ? { host: best.host, port: best.port, token: best.token } : null;
+}
+
+function isProcessAlive(pid) {
+  if (typeof pid !== 'number') {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
 const envConfig = parseEnvConfig(process.env.CONSOLE_SAMURAI_CONFIG);
+const explicitConfig = Object.assign({}, envConfig, global.__CONSOLE_SAMURAI__ || {});
 
 const state = {
   ws: null,
   queue: [],
+  batch: [],
+  batchTimer: null,
+  ready: false,
+  server: null,
+  helloTimer: null,
   connected: false,
-  config: Object.assign({}, DEFAULTS, envConfig, global.__CONSOLE_SAMURAI__ || {}),
+  detached: false,
+  failedAttempts: 0,
+  config: Object.assign({}, DEFAULTS, findRegistryWindow(process.cwd()) || {}, explicitConfig),
   timers: new Map(),
+  counts: new Map(),
+  groupDepth: 0,
+  forwarding: false,
+  handles: new Map(),
+  handleIds: new WeakMap(),
+  handleSeq: 0,
+  inspectorSession: null,
+  logpoints: new Map(),
+  logpointQueue: Promise.resolve(),
   installed: false,
+  errorsInstalled: false,
+  internalRequest: false,
   originals: {}
 };
 
@@ -54,6 +164,7 @@ function start(options) {
   if (options && typeof options === 'object') {
     state.config = Object.assign({}, state.config, options);
   }
+  state.detached = false;
   install();
   connect();
 }
@@ -72,7 +183,11 @@ function install() {
   state.installed = true;
 
   patchConsole();
+  patchConsoleExtras();
   patchTimers();
+  patchNetwork();
+  patchChildProcesses();
+  patchWorkers();
   captureErrors();
 }
 
@@ -81,31 +196,83 @@ function connect() {
     return;
   }
 
-  const url = `ws://${state.config.host}:${state.config.port}`;
-  const ws = new WebSocket(url);
+  if (state.failedAttempts > 0 || explicitConfig.port == null) {
+    // The window may have restarted on another port since this process started.
+    const discovered = findRegistryWindow(process.cwd());
+    if (discovered) {
+      state.config = Object.assign({}, state.config, discovered);
+    }
+  }
+
+  const url = buildServerUrl();
+  // ws issues its upgrade request synchronously; keep it out of the network log.
+  state.internalRequest = true;
+  let ws;
+  try {
+    ws = new WebSocket(url);
+  } finally {
+    state.internalRequest = false;
+  }
   state.ws = ws;
 
   ws.on('open', () => {
     state.connected = true;
-    flushQueue();
-    send({ type: 'hello', client: { runtime: 'node', pid: process.pid } });
+    state.failedAttempts = 0;
+    state.ready = false;
+    const client = Object.assign({ runtime: 'node', pid: process.pid, capabilities: clientCapabilities() }, processMetadata());
+    writeMessage({ type: 'hello', protocol: PROTOCOL_VERSION, client });
+    clearTimeout(state.helloTimer);
+    state.helloTimer = setTimeout(() => {
+      // A timer from an earlier connection must not settle this one.
+      if (state.ws === ws) {
+        markReady(null);
+      }
+    }, HELLO_TIMEOUT_MS);
+    if (typeof state.helloTimer.unref === 'function') {
+      state.helloTimer.unref();
+    }
     unrefSocket(ws);
   });
 
   ws.on('message', data => {
     try {
       const message = JSON.parse(data.toString());
-      if (message.type === 'config') {
+      if (message.type === 'hello') {
+        markReady(message);
+      } else if (message.type === 'config') {
         state.config = Object.assign({}, state.config, message.config || {});
+        captureErrors();
+      } else if (message.type === 'evaluate') {
+        evaluate(message);
+      } else if (message.type === 'inspect') {
+        inspect(message);
+      } else if (message.type === 'logpoints') {
+        setLogpoints(message.logpoints);
       }
     } catch (err) {
       // Ignore.
     }
   });
 
-  ws.on('close', () => {
+  ws.on('close', code => {
+    clearTimeout(state.helloTimer);
+    state.helloTimer = null;
+    if (!state.connected) {
+      state.failedAttempts += 1;
+    }
     state.connected = false;
+    state.ready = false;
+    state.server = null;
     state.ws = null;
+    flushBatch();
+    // The extension sends the current logpoints again after the next handshake.
+    setLogpoints([]);
+    if (code === CLOSE_DISCONNECTED) {
+      // Disconnected from VS Code on purpose: stay away until start() is called again.
+      state.detached = true;
+      state.queue = [];
+      return;
+    }
     retryConnect();
   });
 
@@ -114,6 +281,247 @@ function connect() {
   });
 }
 
+function evaluate(message) {
+  const socket = state.ws;
+  const reply = result => {
+    if (state.ws === socket && state.connected) {
+      writeMessage(Object.assign({ type: 'evaluateResult', requestId: message.requestId }, result));
+    }
+  };
+  if (!state.config.evalEnabled) {
+    reply({ ok: false, text: 'Evaluation is disabled' });
+    return;
+  }
+
+  new Promise(resolve => resolve(runExpression(String(message.expression))))
+    .then(value => {
+      const serialized = serializeValues([value])[0];
+      reply({ ok: true, value: serialized, text: value === undefined ? 'undefined' : previewValue(serialized) });
+    })
+    .catch(error => {
+      const isError = error instanceof Error;
+      reply({
+        ok: false,
+        text: isError ? `${error.name}: ${error.message}` : `Uncaught ${previewValue(serializeValues([error])[0])}`,
+        error: isError ? { name: error.name, message: error.message, stack: error.stack || null } : null
+      });
+    });
+}
+
+function inspect(message) {
+  const ref = state.handles.get(message.handle);
+  const value = ref ? ref.deref() : undefined;
+  if (value === undefined) {
+    state.handles.delete(message.handle);
+    writeMessage({ type: 'inspectResult', requestId: message.requestId, ok: false, text: 'Object is no longer available' });
+    return;
+  }
+  // Serialize one level below the handle; deeper nodes get handles of their own.
+  const options = state.config.logCaptureOptions || DEFAULTS.logCaptureOptions;
+  const serialized = serializeValue(value, options, options.maxDepth - 1, new WeakSet());
+  writeMessage({ type: 'inspectResult', requestId: message.requestId, ok: true, value: serialized });
+}
+
+function runExpression(expression) {
+  try {
+    return vm.runInThisContext(expression, { filename: 'console-samurai-repl' });
+  } catch (err) {
+    // Top-level await is only valid inside an async function.
+    if (err instanceof SyntaxError && /\bawait\b/.test(expression)) {
+      return vm.runInThisContext(`(async () => (${expression}))()`, { filename: 'console-samurai-repl' });
+    }
+    throw err;
+  }
+}
+
+function clientCapabilities() {
+  const capabilities = ['evaluate'];
+  if (inspector) {
+    capabilities.push('logpoints');
+  }
+  if (typeof WeakRef === 'function') {
+    capabilities.push('inspect');
+  }
+  return capabilities;
+}
+
+function setLogpoints(list) {
+  const logpoints = (Array.isArray(list) ? list : []).filter(logpoint => logpoint &&
+    typeof logpoint.id === 'string' &&
+    typeof logpoint.file === 'string' &&
+    Number.isInteger(logpoint.line) && logpoint.line > 0 &&
+    typeof logpoint.template === 'string');
+
+  state.logpointQueue = state.logpointQueue
+    .then(() => applyLogpoints(logpoints))
+    .catch(() => {});
+}
+
+function applyLogpoints(logpoints) {
+  const session = logpoints.length ? openInspectorSession() : state.inspectorSession;
+  if (!session) {
+    return Promise.resolve();
+  }
+
+  const removals = Array.from(state.logpoints.values()).map(logpoint =>
+    inspectorPost(session, 'Debugger.removeBreakpoint', { breakpointId: logpoint.breakpointId }).catch(() => {}));
+  state.logpoints.clear();
+
+  return Promise.all(removals).then(() => {
+    if (!logpoints.length) {
+      closeInspectorSession();
+      return null;
+    }
+    return Promise.all(logpoints.map(logpoint => installLogpoint(session, logpoint).catch(() => {})));
+  });
+}
+
+function installLogpoint(session, logpoint) {
+  const template = parseTemplate(logpoint.template);
+  const args = template.expressions.map(expression => {
+    try {
+      new vm.Script(`(${expression})`);
+    } catch (err) {
+      return JSON.stringify(`<${err.name}: ${err.message}>`);
+    }
+    return `(() => { try { return (${expression}); } catch (err) { return err; } })()`;
+  });
+  // The condition reports the values and evaluates to false, so execution never pauses.
+  const condition = `(globalThis.${LOGPOINT_HOOK} && globalThis.${LOGPOINT_HOOK}(${JSON.stringify(logpoint.id)}, [${args.join(', ')}]), false)`;
+  const urls = [logpoint.file, pathToFileURL(logpoint.file).href].map(escapeRegExp);
+
+  return inspectorPost(session, 'Debugger.setBreakpointByUrl', {
+    lineNumber: logpoint.line - 1,
+    urlRegex: `^(?:${urls.join('|')})$`,
+    condition
+  }).then(result => {
+    state.logpoints.set(logpoint.id, {
+      breakpointId: result.breakpointId,
+      file: logpoint.file,
+      line: logpoint.line,
+      literals: template.literals
+    });
+  });
+}
+
+function parseTemplate(template) {
+  const literals = [];
+  const expressions = [];
+  let literal = '';
+  let index = 0;
+  while (index < template.length) {
+    const end = template[index] === '{' ? findClosingBrace(template, index) : -1;
+    if (end === -1) {
+      literal += template[index];
+      index += 1;
+      continue;
+    }
+    literals.push(literal);
+    expressions.push(template.slice(index + 1, end));
+    literal = '';
+    index = end + 1;
+  }
+  literals.push(literal);
+  return { literals, expressions };
+}
+
+function findClosingBrace(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i += 1) {
+    if (text[i] === '{') {
+      depth += 1;
+    } else if (text[i] === '}') {
+      depth -= 1;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+function reportLogpoint(id, values) {
+  const logpoint = state.logpoints.get(id);
+  if (!logpoint) {
+    return;
+  }
+
+  let text = logpoint.literals[0];
+  values.forEach((value, index) => {
+    const preview = value instanceof Error ? `<${value.name}: ${value.message}>` : previewValue(serializeValues([value])[0]);
+    text += preview + (logpoint.literals[index + 1] || '');
+  });
+
+  send({
+    type: 'log',
+    kind: 'logpoint',
+    level: 'log',
+    text,
+    values: serializeValues(values),
+    timestamp: Date.now(),
+    file: logpoint.file,
+    line: logpoint.line,
+    source: 'node'
+  });
+}
+
+function openInspectorSession() {
+  if (!inspector) {
+    return null;
+  }
+  if (state.inspectorSession) {
+    return state.inspectorSession;
+  }
+
+  const session = new inspector.Session();
+  try {
+    session.connect();
+  } catch (err) {
+    return null;
+  }
+  state.inspectorSession = session;
+  Object.defineProperty(globalThis, LOGPOINT_HOOK, {
+    value: (id, values) => {
+      try {
+        reportLogpoint(id, values);
+      } catch (err) {
+        // Never let a logpoint break the host program.
+      }
+    },
+    configurable: true,
+    writable: true
+  });
+  session.post('Debugger.enable');
+  return session;
+}
+
+function closeInspectorSession() {
+  if (!state.inspectorSession) {
+    return;
+  }
+  state.inspectorSession.disconnect();
+  state.inspectorSession = null;
+  delete globalThis[LOGPOINT_HOOK];
+}
+
+function inspectorPost(session, method, params) {
+  return new Promise((resolve, reject) => {
+    session.post(method, params, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildServerUrl() {
+  const base = `ws://${state.config.host}:${state.config.port}/`;
+  if (!state.config.token) {
+    return base;
+  }
+  return `${base}?token=${encodeURIComponent(state.config.token)}`;
+}
+
 function retryConnect() {
   const timer = setTimeout(() => {
     if (!state.ws) {
@@ -129,18 +537,80 @@ function send(payload) {
   if (!payload) {
     return;
   }
+  if (state.detached) {
+    return;
+  }
 
-  if (!state.connected || !state.ws || state.ws.readyState !== WebSocket.OPEN) {
+  if (!state.connected || !state.ready || !state.ws || state.ws.readyState !== WebSocket.OPEN) {
     state.queue.push(payload);
     return;
   }
 
+  if (payload.type === 'log' && supportsBatch()) {
+    state.batch.push(payload);
+    if (state.batch.length >= maxBatchEntries()) {
+      flushBatch();
+    } else if (!state.batchTimer) {
+      state.batchTimer = setTimeout(flushBatch, BATCH_DELAY_MS);
+    }
+    return;
+  }
+
+  writeMessage(payload);
+}
+
+function writeMessage(payload) {
   state.ws.send(JSON.stringify(payload));
 }
 
+function markReady(serverHello) {
+  clearTimeout(state.helloTimer);
+  state.helloTimer = null;
+  if (state.ready || !state.connected) {
+    return;
+  }
+  state.ready = true;
+  state.server = serverHello;
+  flushQueue();
+}
+
+function supportsBatch() {
+  const server = state.server;
+  return Boolean(server && server.protocol >= 2 && Array.isArray(server.capabilities) && server.capabilities.includes('batch'));
+}
+
+function maxBatchEntries() {
+  const limits = state.server && state.server.limits;
+  return limits && limits.maxBatchEntries > 0 ? limits.maxBatchEntries : 100;
+}
+
+function flushBatch() {
+  clearTimeout(state.batchTimer);
+  state.batchTimer = null;
+
+  const entries = state.batch;
+  state.batch = [];
+  if (!entries.length) {
+    return;
+  }
+
+  if (!state.connected || !state.ws || state.ws.readyState !== WebSocket.OPEN) {
+    state.queue = entries.concat(state.queue);
+    return;
+  }
+
+  const size = maxBatchEntries();
+  for (let i = 0; i < entries.length; i += size) {
+    const chunk = entries.slice(i, i + size);
+    writeMessage(chunk.length === 1 ? chunk[0] : { type: 'batch', entries: chunk });
+  }
+}
+
 function flushQueue() {
-  while (state.queue.length) {
-    send(state.queue.shift());
+  const queued = state.queue;
+  state.queue = [];
+  for (const payload of queued) {
+    send(payload);
   }
 }
 
@@ -159,7 +629,7 @@ function patchConsole() {
         }
       }
 
-      if (!state.config.captureConsole) {
+      if (!state.config.captureConsole || state.forwarding) {
         return;
       }
 
@@ -169,7 +639,7 @@ function patchConsole() {
         type: 'log',
         kind: method === 'trace' ? 'trace' : method,
         level: method === 'trace' ? 'trace' : method,
-        text: formatPreview(args),
+        text: formatMessage(args),
         values: serializeValues(args),
         timestamp: Date.now(),
         stack: stack || null,
@@ -182,6 +652,153 @@ function patchConsole() {
   }
 }
 
+function patchConsoleExtras() {
+  const handlers = {
+    group: args => openGroup(args, false),
+    groupCollapsed: args => openGroup(args, true),
+    groupEnd: () => closeGroup(),
+    table: args => describeTable(args[0], args[1]),
+    count: args => {
+      const label = countLabel(args[0]);
+      const count = (state.counts.get(label) || 0) + 1;
+      state.counts.set(label, count);
+      return { kind: 'count', text: `${label}: ${count}`, values: [{ label, count }], label };
+    },
+    countReset: args => {
+      state.counts.delete(countLabel(args[0]));
+      return null;
+    },
+    assert: args => {
+      if (args[0]) {
+        return null;
+      }
+      const rest = args.slice(1);
+      const text = rest.length ? `Assertion failed: ${formatMessage(rest)}` : 'Assertion failed';
+      return { kind: 'assert', level: 'error', text, values: serializeValues(rest) };
+    },
+    dir: args => ({ kind: 'dir', text: formatMessage(args.slice(0, 1)), values: serializeValues(args.slice(0, 1)) })
+  };
+
+  for (const method of Object.keys(handlers)) {
+    const original = console[method];
+    state.originals[method] = original;
+    console[method] = function () {
+      const args = Array.prototype.slice.call(arguments);
+      callOriginal(original, args);
+
+      // Group depth and counters follow the program even while capture is off.
+      const fields = handlers[method](args);
+      if (!fields || !state.config.captureConsole) {
+        return;
+      }
+
+      const stack = fields.kind === 'groupEnd' ? null : captureStack();
+      const location = extractLocation(stack);
+      send(Object.assign({
+        type: 'log',
+        level: 'log',
+        values: [],
+        timestamp: Date.now(),
+        stack: stack || null,
+        file: location.file,
+        line: location.line,
+        column: location.column,
+        source: 'node'
+      }, fields));
+    };
+  }
+}
+
+function callOriginal(original, args) {
+  if (!original) {
+    return;
+  }
+  // Built-in console methods may report through console.log; don't capture those a second time.
+  const previous = state.forwarding;
+  state.forwarding = true;
+  try {
+    original.apply(console, args);
+  } catch (err) {
+    // ignore
+  } finally {
+    state.forwarding = previous;
+  }
+}
+
+function openGroup(args, collapsed) {
+  const depth = state.groupDepth;
+  state.groupDepth += 1;
+  return {
+    kind: 'group',
+    text: args.length ? formatMessage(args) : 'console.group',
+    values: serializeValues(args),
+    group: { action: 'start', collapsed, depth }
+  };
+}
+
+function closeGroup() {
+  if (state.groupDepth === 0) {
+    return null;
+  }
+  state.groupDepth -= 1;
+  return { kind: 'groupEnd', text: '', group: { action: 'end', depth: state.groupDepth } };
+}
+
+function countLabel(label) {
+  return label === undefined ? 'default' : String(label);
+}
+
+function describeTable(data, properties) {
+  if (!data || typeof data !== 'object') {
+    return { kind: 'log', text: formatMessage([data]), values: serializeValues([data]) };
+  }
+
+  const options = Object.assign({}, DEFAULTS.logCaptureOptions, state.config.logCaptureOptions);
+  const only = Array.isArray(properties) ? properties.map(String) : null;
+  const keys = Object.keys(data);
+  const columns = only ? only.slice() : [];
+  let hasValues = false;
+  const rows = keys.slice(0, options.maxArray).map(key => {
+    const value = data[key];
+    const cells = {};
+    if (value && typeof value === 'object') {
+      for (const column of Object.keys(value)) {
+        if (!columns.includes(column)) {
+          if (only || columns.length >= options.maxProps) {
+            continue;
+          }
+          columns.push(column);
+        }
+        cells[column] = previewCell(value[column], options);
+      }
+    } else {
+      hasValues = true;
+      cells[TABLE_VALUES_COLUMN] = previewCell(value, options);
+    }
+    return { key, cells };
+  });
+
+  if (hasValues && !only) {
+    columns.push(TABLE_VALUES_COLUMN);
+  }
+  return {
+    kind: 'table',
+    text: formatMessage([data]),
+    values: serializeValues([data]),
+    table: {
+      columns,
+      rows: rows.map(row => [row.key].concat(columns.map(column => (column in row.cells ? row.cells[column] : '')))),
+      truncated: keys.length > rows.length
+    }
+  };
+}
+
+function previewCell(value, options) {
+  const text = typeof value === 'string' ? JSON.stringify(value) : previewValue(value);
+  const result = text === undefined ? String(value) : text;
+  return result.length > options.maxStringLength ? `${result.slice(0, options.maxStringLength)}…` : result;
+}
+
 function patchTimers() {
   const originalTime = console.time;
   const originalTimeEnd = console.timeEnd;
@@ -190,9 +807,7 @@ function patchTimers() {
   console.time = function (label) {
     const key = label || 'default';
     state.timers.set(key, now());
-    if (originalTime) {
-      originalTime.call(console, label);
-    }
+    callOriginal(originalTime, [label]);
   };
 
   console.timeLog = function (label) {
@@ -218,9 +833,7 @@ function patchTimers() {
         source: 'node'
       });
     }
-    if (originalTimeLog) {
-      originalTimeLog.call(console, label);
-    }
+    callOriginal(originalTimeLog, [label]);
   };
 
   console.timeEnd = function (label) {
@@ -247,18 +860,509 @@ function patchTimers() {
       });
     }
     state.timers.delete(key);
-    if (originalTimeEnd) {
-      originalTimeEnd.call(console, label);
+    callOriginal(originalTimeEnd, [label]);
+  };
+}
+
+function patchNetwork() {
+  for (const [name, module] of [['http', http], ['https', https]]) {
+    for (const method of ['request', 'get']) {
+      const original = module[method];
+      state.originals[`${name}.${method}`] = original;
+      module[method] = function () {
+        const callSite = captureStack();
+        const req = original.apply(this, arguments);
+        if (state.config.networkEnabled && !state.internalRequest) {
+          try {
+            trackClientRequest(req, callSite);
+          } catch (err) {
+            // Never let instrumentation break the request.
+          }
+        }
+        return req;
+      };
+    }
+  }
+
+  if (typeof globalThis.fetch === 'function') {
+    const originalFetch = globalThis.fetch;
+    state.originals.fetch = originalFetch;
+    globalThis.fetch = function (input, init) {
+      if (!state.config.networkEnabled) {
+        return originalFetch.apply(this, arguments);
+      }
+      const callSite = captureStack();
+      const start = now();
+      const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+      const method = (init && init.method) || (isRequest && input.method) || 'GET';
+      const url = typeof input === 'string' ? input : (input && input.url) || String(input || '');
+      const request = describeFetchRequest(input, init, isRequest);
+      return originalFetch.apply(this, arguments).then(response => {
+        const durationMs = Math.round((now() - start) * 1000) / 1000;
+        const details = [request, describeFetchResponse(response)].map(promise => promise.catch(() => null));
+        Promise.all(details).then(([requestDetails, responseDetails]) => {
+          sendNetworkEntry({ method, url, status: response.status, durationMs, callSite, request: requestDetails, response: responseDetails });
+        });
+        return response;
+      }, err => {
+        const durationMs = Math.round((now() - start) * 1000) / 1000;
+        sendNetworkEntry({ method, url, status: 'ERR', durationMs, callSite, error: err });
+        throw err;
+      });
+    };
+  }
+}
+
+function trackClientRequest(req, callSite) {
+  const options = captureOptions();
+  const start = now();
+  const method = req.method || 'GET';
+  const url = `${req.protocol || 'http:'}//${req.getHeader('host') || req.host}${req.path || '/'}`;
+  const requestBody = options.captureBodies ? createBodyCollector(options) : null;
+  let finished = false;
+
+  if (requestBody) {
+    for (const name of ['write', 'end']) {
+      const original = req[name];
+      req[name] = function (chunk, encoding) {
+        if (chunk != null && typeof chunk !== 'function') {
+          requestBody.add(chunk, typeof encoding === 'string' ? encoding : undefined);
+        }
+        return original.apply(this, arguments);
+      };
+    }
+  }
+
+  const finish = fields => {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    const durationMs = Math.round((now() - start) * 1000) / 1000;
+    sendNetworkEntry(Object.assign({ method, url, durationMs, callSite }, fields));
+  };
+
+  const describeRequest = () => {
+    if (!options.captureHeaders && !requestBody) {
+      return null;
+    }
+    const details = {};
+    if (options.captureHeaders) {
+      details.headers = collectHeaders(req.getHeaders(), options);
+    }
+    return requestBody && requestBody.size ? Object.assign(details, requestBody.describe()) : details;
+  };
+
+  // Observe events by wrapping emit: adding listeners would change how the caller's streams behave.
+  const originalEmit = req.emit;
+  req.emit = function (event, arg) {
+    if (event === 'response') {
+      observeResponse(arg, options, describeRequest, finish);
+    } else if (event === 'error') {
+      finish({ status: 'ERR', error: arg, request: describeRequest() });
+    }
+    return originalEmit.apply(this, arguments);
+  };
+}
+
+function observeResponse(res, options, describeRequest, finish) {
+  const contentType = res.headers['content-type'] || '';
+  const response = { contentType, size: parseContentLength(res.headers['content-length']) };
+  if (options.captureHeaders) {
+    response.headers = collectHeaders(res.headers, options);
+  }
+  const capture = options.captureHeaders || options.captureBodies;
+  const done = () => finish({ status: res.statusCode, request: describeRequest(), response: capture ? response : null });
+
+  if (!options.captureBodies || !TEXT_CONTENT_PATTERN.test(contentType) || /event-stream/i.test(contentType)) {
+    done();
+    return;
+  }
+
+  const body = createBodyCollector(options);
+  const timer = setTimeout(done, BODY_READ_TIMEOUT_MS);
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+  // Readable.read() emits 'data' for every chunk it returns, so consumers using read() or
+  // for await...of are seen here as well as 'data' listeners and pipe().
+  const originalEmit = res.emit;
+  res.emit = function (event, chunk) {
+    if (event === 'data') {
+      body.add(chunk);
+    } else if (event === 'end' || event === 'close' || event === 'aborted' || event === 'error') {
+      clearTimeout(timer);
+      Object.assign(response, body.describe());
+      if (response.size == null) {
+        response.size = body.size;
+      }
+      done();
     }
+    return originalEmit.apply(this, arguments);
   };
 }
 
+// A missing header means the size is unknown, not zero.
+function parseContentLength(value) {
+  if (value == null || value === '') {
+    return null;
+  }
+  const length = Number(value);
+  return Number.isFinite(length) && length >= 0 ? length : null;
+}
+
+function createBodyCollector(options) {
+  const chunks = [];
+  let kept = 0;
+  const collector = {
+    size: 0,
+    add(chunk, encoding) {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), encoding);
+      collector.size += buffer.length;
+      if (kept < options.maxBodyLength) {
+        chunks.push(buffer.subarray(0, options.maxBodyLength - kept));
+        kept += Math.min(buffer.length, options.maxBodyLength - kept);
+      }
+    },
+    describe() {
+      return {
+        body: Buffer.concat(chunks).toString('utf8'),
+        bodySize: collector.size,
+        truncated: collector.size > kept
+      };
+    }
+  };
+  return collector;
+}
+
+function sendNetworkEntry(fields) {
+  const location = extractLocation(fields.callSite);
+  const status = fields.status;
+  send({
+    type: 'log',
+    kind: 'network',
+    level: 'network',
+    text: `${fields.method} ${fields.url} ${status === 'ERR' ? 'ERROR' : status} ${fields.durationMs}ms`,
+    timestamp: Date.now(),
+    url: fields.url,
+    method: fields.method,
+    status,
+    durationMs: fields.durationMs,
+    values: fields.error ? serializeValues([fields.error]) : undefined,
+    request: fields.request || null,
+    response: fields.response || null,
+    stack: fields.callSite || null,
+    file: location.file,
+    line: location.line,
+    column: location.column,
+    source: 'node'
+  });
+}
+
+function describeFetchRequest(input, init, isRequest) {
+  const options = captureOptions();
+  if (!options.captureHeaders && !options.captureBodies) {
+    return Promise.resolve(null);
+  }
+
+  const details = {};
+  if (options.captureHeaders) {
+    const headers = init && init.headers ? new Headers(init.headers) : (isRequest ? input.headers : null);
+    details.headers = collectHeaders(headers, options);
+  }
+  if (!options.captureBodies) {
+    return Promise.resolve(details);
+  }
+  if (init && init.body != null) {
+    Object.assign(details, describeBody(init.body, options));
+    return Promise.resolve(details);
+  }
+  if (isRequest && input.body) {
+    return readText(input.clone(), options.maxBodyLength).then(read => Object.assign(details, describeRead(read, options)));
+  }
+  return Promise.resolve(details);
+}
+
+function describeFetchResponse(response) {
+  const options = captureOptions();
+  if (!options.captureHeaders && !options.captureBodies) {
+    return Promise.resolve(null);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  const details = { contentType, size: parseContentLength(response.headers.get('content-length')) };
+  if (options.captureHeaders) {
+    details.headers = collectHeaders(response.headers, options);
+  }
+  if (!options.captureBodies || !TEXT_CONTENT_PATTERN.test(contentType) || /event-stream/i.test(contentType)) {
+    return Promise.resolve(details);
+  }
+  return readText(response.clone(), options.maxBodyLength).then(read => {
+    const body = describeRead(read, options);
+    if (details.size == null && body.bodySize != null) {
+      details.size = body.bodySize;
+    }
+    return Object.assign(details, body);
+  });
+}
+
+function describeRead(read, options) {
+  return read ? describeText(read.text, options, !read.complete) : describeText(null, options);
+}
+
+// Resolves to { text, complete }, or null when the body could not be read.
+function readText(message, limit) {
+  // Long-lived streams never finish, so give up on the preview instead of holding the entry back.
+  // Reading the stream directly lets the copy be cancelled when that happens or the limit is hit.
+  const reader = message.body && typeof message.body.getReader === 'function' ? message.body.getReader() : null;
+  let timer = null;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      if (reader) {
+        reader.cancel().catch(() => {});
+      }
+      resolve(null);
+    }, BODY_READ_TIMEOUT_MS);
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+  });
+  const text = reader ? readStream(reader, limit) : message.text().then(value => ({ text: value, complete: true }));
+  return Promise.race([text.catch(() => null), timeout]).then(result => {
+    clearTimeout(timer);
+    return result;
+  });
+}
+
+function readStream(reader, limit) {
+  const decoder = new TextDecoder();
+  let text = '';
+  const next = () => reader.read().then(({ done, value }) => {
+    if (done) {
+      return { text: text + decoder.decode(), complete: true };
+    }
+    text += decoder.decode(value, { stream: true });
+    if (text.length > limit) {
+      reader.cancel().catch(() => {});
+      return { text, complete: false };
+    }
+    return next();
+  });
+  return next();
+}
+
+function captureOptions() {
+  return Object.assign({}, DEFAULTS.logCaptureOptions, state.config.logCaptureOptions);
+}
+
+function collectHeaders(headers, options) {
+  const result = {};
+  if (!headers) {
+    return result;
+  }
+  const redact = new Set((options.redactHeaders || []).map(name => String(name).toLowerCase()));
+  const add = (name, value) => {
+    const key = String(name).toLowerCase();
+    result[key] = redact.has(key) ? '[redacted]' : (Array.isArray(value) ? value.join(', ') : String(value));
+  };
+  if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+    headers.forEach((value, name) => add(name, value));
+  } else if (typeof headers === 'object') {
+    Object.keys(headers).forEach(name => add(name, headers[name]));
+  }
+  return result;
+}
+
+function describeBody(body, options) {
+  if (typeof body === 'string') {
+    return describeText(body, options);
+  }
+  if (body instanceof URLSearchParams) {
+    return describeText(body.toString(), options);
+  }
+  if (Buffer.isBuffer(body) || body instanceof Uint8Array) {
+    return describeText(Buffer.from(body.buffer, body.byteOffset, body.byteLength).toString('utf8'), options);
+  }
+  if (body && typeof body.byteLength === 'number') {
+    return { body: `[Binary ${body.byteLength} bytes]`, bodySize: body.byteLength, truncated: false };
+  }
+  return { body: `[${Object.prototype.toString.call(body).slice(8, -1)}]`, bodySize: null, truncated: false };
+}
+
+function describeText(text, options, partial) {
+  if (typeof text !== 'string') {
+    return { body: null, bodySize: null, truncated: false };
+  }
+  // A read stopped at the limit doesn't know the full size.
+  const bodySize = partial ? null : Buffer.byteLength(text);
+  if (text.length > options.maxBodyLength) {
+    return { body: text.slice(0, options.maxBodyLength), bodySize, truncated: true };
+  }
+  return { body: text, bodySize, truncated: false };
+}
+
+function processMetadata() {
+  const threadId = currentThreadId();
+  let parent = null;
+  try {
+    parent = JSON.parse(process.env[PARENT_ENV] || 'null');
+  } catch (err) {
+    // A malformed marker just leaves the process without a parent.
+  }
+  if (threadId && (!parent || parent.pid !== process.pid)) {
+    // Workers sharing the parent's environment can't be told apart; assume the main thread started them.
+    parent = { pid: process.pid, threadId: 0 };
+  }
+  // Only the runtime and script: the remaining arguments may hold secrets.
+  const command = threadId
+    ? (parent && parent.command) || 'worker'
+    : [path.basename(process.argv[0])].concat(process.argv[1] ? [process.argv[1]] : []).map(arg => (/\s/.test(arg) ? JSON.stringify(arg) : arg)).join(' ');
+  return {
+    ppid: process.ppid,
+    threadId,
+    parent: parent && typeof parent.pid === 'number' ? { pid: parent.pid, threadId: parent.threadId || 0 } : null,
+    command: command.length > MAX_COMMAND_LENGTH ? `${command.slice(0, MAX_COMMAND_LENGTH)}…` : command
+  };
+}
+
+function currentThreadId() {
+  return workerThreads ? workerThreads.threadId : 0;
+}
+
+function patchChildProcesses() {
+  for (const method of ['spawn', 'spawnSync', 'exec', 'execSync', 'execFile', 'execFileSync', 'fork']) {
+    const original = childProcess[method];
+    if (typeof original !== 'function') {
+      continue;
+    }
+    state.originals[`child_process.${method}`] = original;
+    const patched = function () {
+      const args = Array.prototype.slice.call(arguments);
+      if (state.config.attachChildren !== false && isNodeLaunch(method, args[0])) {
+        try {
+          injectChildOptions(args);
+        } catch (err) {
+          // Never let instrumentation break the spawn.
+        }
+      }
+      return original.apply(this, args);
+    };
+    if (original[util.promisify.custom]) {
+      patched[util.promisify.custom] = original[util.promisify.custom];
+    }
+    childProcess[method] = patched;
+  }
+}
+
+// The preload and config (which carries the token) only go to Node programs; anything else
+// keeps the environment it was given.
+function isNodeLaunch(method, command) {
+  if (method === 'fork') {
+    return true;
+  }
+  if (typeof command !== 'string') {
+    return false;
+  }
+  let file = command;
+  if (method === 'exec' || method === 'execSync') {
+    const match = /^\s*(?:"([^"]+)"|'([^']+)'|(\S+))/.exec(command);
+    file = match ? match[1] || match[2] || match[3] : '';
+  }
+  return file === process.execPath || /^node(?:\.exe)?$/i.test(path.basename(file));
+}
+
+function injectChildOptions(args) {
+  for (let i = 1; i < args.length; i += 1) {
+    const arg = args[i];
+    if (arg && typeof arg === 'object' && !Array.isArray(arg)) {
+      args[i] = Object.assign({}, arg, { env: childEnv(arg.env) });
+      return;
+    }
+  }
+  // No options object: add one after the command and its argument list, ahead of any callback.
+  const index = Array.isArray(args[1]) ? 2 : 1;
+  if (index < args.length && args[index] == null) {
+    args[index] = { env: childEnv() };
+  } else {
+    args.splice(index, 0, { env: childEnv() });
+  }
+}
+
+function childEnv(env, extra) {
+  // Pass the hook and config explicitly so children started with a cleaned environment still attach.
+  const result = Object.assign({}, env || process.env);
+  const nodeOptions = result.NODE_OPTIONS || '';
+  if (!nodeOptions.includes(__filename)) {
+    const preload = `--require ${__filename.includes(' ') ? `"${__filename}"` : __filename}`;
+    result.NODE_OPTIONS = nodeOptions ? `${preload} ${nodeOptions}` : preload;
+  }
+  result.CONSOLE_SAMURAI_CONFIG = JSON.stringify(childConfig());
+  result[PARENT_ENV] = JSON.stringify(Object.assign({ pid: process.pid, threadId: currentThreadId() }, extra));
+  return result;
+}
+
+function childConfig() {
+  const config = state.config;
+  return {
+    host: config.host,
+    port: config.port,
+    token: config.token,
+    captureConsole: config.captureConsole,
+    captureErrors: config.captureErrors,
+    networkEnabled: config.networkEnabled,
+    attachChildren: config.attachChildren,
+    logCaptureOptions: config.logCaptureOptions
+  };
+}
+
+function patchWorkers() {
+  if (!workerThreads || typeof workerThreads.Worker !== 'function') {
+    return;
+  }
+  const OriginalWorker = workerThreads.Worker;
+  state.originals.Worker = OriginalWorker;
+  const PatchedWorker = function Worker(filename, options) {
+    let workerOptions = options;
+    if (state.config.attachChildren !== false) {
+      try {
+        workerOptions = buildWorkerOptions(filename, options);
+      } catch (err) {
+        workerOptions = options;
+      }
+    }
+    return Reflect.construct(OriginalWorker, [filename, workerOptions], new.target || PatchedWorker);
+  };
+  PatchedWorker.prototype = OriginalWorker.prototype;
+  Object.setPrototypeOf(PatchedWorker, OriginalWorker);
+  workerThreads.Worker = PatchedWorker;
+}
+
+function buildWorkerOptions(filename, options) {
+  const result = Object.assign({}, options);
+  // Preloads from NODE_OPTIONS already run in workers; a client loaded with require() needs its own.
+  const execArgv = result.execArgv || process.execArgv;
+  if (!execArgv.some(arg => arg.includes(__filename))) {
+    result.execArgv = execArgv.concat(['--require', __filename]);
+  }
+  if (result.env !== workerThreads.SHARE_ENV) {
+    const source = result.eval ? '(eval)' : String(filename && filename.href ? filename.href : filename);
+    result.env = childEnv(result.env, { command: `worker ${source}` });
+  }
+  return result;
+}
+
+// Installed on demand rather than up front: an uncaughtException listener changes whether
+// the process crashes, so it is only added once errors are turned on (possibly by a later config).
 function captureErrors() {
-  if (!state.config.captureErrors) {
+  if (!state.config.captureErrors || state.errorsInstalled) {
     return;
   }
+  state.errorsInstalled = true;
 
   process.on('uncaughtException', error => {
+    if (!state.config.captureErrors) {
+      return;
+    }
     const stack = error && error.stack ? error.stack : captureStack();
     const location = extractLocation(stack);
     send({
@@ -277,6 +1381,9 @@ function captureErrors() {
   });
 
   process.on('unhandledRejection', reason => {
+    if (!state.config.captureErrors) {
+      return;
+    }
     const error = reason instanceof Error ? reason : new Error(String(reason));
     const stack = error && error.stack ? error.stack : captureStack();
     const location = extractLocation(stack);
@@ -331,65 +1438,274 @@ function serializeValues(values) {
   return values.map(value => serializeValue(value, options, 0, new WeakSet()));
 }
 
-  function serializeValue(value, options, depth, seen) {
-    const type = typeof value;
-    if (value === null || type === 'undefined' || type === 'number' || type === 'boolean') {
+function serializeValue(value, options, depth, seen) {
+  const type = typeof value;
+  if (value === null || type === 'boolean') {
+    return value;
+  }
+  if (type === 'number') {
+    // JSON has no NaN, Infinity or -0.
+    if (Number.isFinite(value) && !Object.is(value, -0)) {
       return value;
     }
-    if (type === 'bigint') {
-      return value.toString();
-    }
-    if (type === 'symbol') {
-      return value.toString();
+    return { __type: 'number', value: Object.is(value, -0) ? '-0' : String(value) };
+  }
+  if (type === 'undefined') {
+    return { __type: 'undefined' };
+  }
+  if (type === 'bigint') {
+    return { __type: 'bigint', value: value.toString() };
+  }
+  if (type === 'symbol') {
+    return { __type: 'symbol', value: value.toString() };
+  }
+  if (type === 'string') {
+    if (value.length > options.maxStringLength) {
+      return value.slice(0, options.maxStringLength) + '...';
     }
-    if (type === 'string') {
-      if (value.length > options.maxStringLength) {
-        return value.slice(0, options.maxStringLength) + '...';
-      }
-      return value;
+    return value;
   }
   if (type === 'function') {
-    return `[Function ${value.name || 'anonymous'}]`;
+    return { __type: 'function', name: value.name || '', isClass: isClassFunction(value) };
   }
-    if (value instanceof Error) {
-      return { name: value.name, message: value.message, stack: value.stack };
-    }
-    if (value instanceof Date) {
-      return value.toISOString();
-    }
   if (seen.has(value)) {
-    return '[Circular]';
+    return { __type: 'circular' };
+  }
+
+  const className = getClassName(value);
+  if (value instanceof Error) {
+    return serializeError(value, className, options, depth, seen);
+  }
+  if (value instanceof Date) {
+    return { __type: 'date', value: Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString() };
+  }
+  if (value instanceof RegExp) {
+    return { __type: 'regexp', value: String(value) };
+  }
+  if (ArrayBuffer.isView(value)) {
+    if (typeof value.length !== 'number') {
+      return { __type: 'arraybuffer', className, byteLength: value.byteLength, bytes: previewBytes(value.buffer, value.byteOffset, value.byteLength) };
+    }
+    const limit = Math.min(value.length, options.maxArray);
+    const values = Array.from(value.subarray(0, limit), item => (typeof item === 'bigint' ? { __type: 'bigint', value: item.toString() } : item));
+    return { __type: 'typedarray', className, length: value.length, values, truncated: value.length - limit };
+  }
+  if (className === 'ArrayBuffer' || className === 'SharedArrayBuffer') {
+    return { __type: 'arraybuffer', className, byteLength: value.byteLength, bytes: previewBytes(value, 0, value.byteLength) };
+  }
+  if (value instanceof Promise || value instanceof WeakMap || value instanceof WeakSet) {
+    // Their contents can't be read without side effects (or at all).
+    return { __type: value instanceof Promise ? 'promise' : 'weak', className };
   }
   if (depth >= options.maxDepth) {
-    return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+    const size = Array.isArray(value) ? value.length : (value instanceof Map || value instanceof Set ? value.size : null);
+    return { __type: 'collapsed', className: Array.isArray(value) ? 'Array' : className, size, handle: registerHandle(value) };
   }
+
   seen.add(value);
-  if (Array.isArray(value)) {
-    const limit = Math.min(value.length, options.maxArray);
-    const arr = [];
-    for (let i = 0; i < limit; i += 1) {
-      arr.push(serializeValue(value[i], options, depth + 1, seen));
+  try {
+    if (value instanceof Map || value instanceof Set) {
+      const limit = Math.min(value.size, options.maxArray);
+      const items = [];
+      for (const item of value instanceof Map ? value.entries() : value.values()) {
+        if (items.length >= limit) {
+          break;
+        }
+        items.push(value instanceof Map
+          ? [serializeValue(item[0], options, depth + 1, seen), serializeValue(item[1], options, depth + 1, seen)]
+          : serializeValue(item, options, depth + 1, seen));
+      }
+      const key = value instanceof Map ? 'entries' : 'values';
+      return { __type: value instanceof Map ? 'map' : 'set', className, size: value.size, [key]: items, truncated: value.size - limit };
+    }
+    if (Array.isArray(value)) {
+      const limit = Math.min(value.length, options.maxArray);
+      const arr = [];
+      for (let i = 0; i < limit; i += 1) {
+        arr.push(serializeValue(value[i], options, depth + 1, seen));
+      }
+      if (value.length > limit) {
+        arr.push({ __type: 'more', count: value.length - limit });
+      }
+      return arr;
     }
-    if (value.length > limit) {
-      arr.push(`... (${value.length - limit} more)`);
+
+    const props = serializeProperties(value, options, depth, seen, []);
+    if (className === 'Object' && !Object.prototype.hasOwnProperty.call(props.values, '__type')) {
+      if (props.truncated) {
+        props.values.__truncated__ = `${props.truncated} more keys`;
+      }
+      return props.values;
     }
-    return arr;
+    return { __type: 'object', className: className || 'Object', nullPrototype: className === null, props: props.values, truncated: props.truncated };
+  } finally {
+    seen.delete(value);
+  }
+}
+
+// Objects cut off by maxDepth stay inspectable while they are alive. The registry only holds
+// weak references, and the oldest handles are dropped once it is full.
+function registerHandle(value) {
+  if (typeof WeakRef !== 'function') {
+    return null;
+  }
+  const existing = state.handleIds.get(value);
+  if (existing && state.handles.has(existing)) {
+    // Logging the object again makes its handle the newest one.
+    const ref = state.handles.get(existing);
+    state.handles.delete(existing);
+    state.handles.set(existing, ref);
+    return existing;
+  }
+  state.handleSeq += 1;
+  state.handles.set(state.handleSeq, new WeakRef(value));
+  state.handleIds.set(value, state.handleSeq);
+  if (state.handles.size > MAX_HANDLES) {
+    state.handles.delete(state.handles.keys().next().value);
   }
-  const keys = Object.keys(value);
+  return state.handleSeq;
+}
+
+function serializeProperties(value, options, depth, seen, skip) {
+  const keys = Object.keys(value).filter(key => !skip.includes(key))
+    .concat(Object.getOwnPropertySymbols(value).filter(symbol => Object.prototype.propertyIsEnumerable.call(value, symbol)));
   const limit = Math.min(keys.length, options.maxProps);
-  const obj = {};
+  const values = {};
   for (let i = 0; i < limit; i += 1) {
     const key = keys[i];
-    obj[key] = serializeValue(value[key], options, depth + 1, seen);
+    const name = typeof key === 'symbol' ? `[${key.toString()}]` : key;
+    const descriptor = Object.getOwnPropertyDescriptor(value, key);
+    if (descriptor && (descriptor.get || descriptor.set)) {
+      // Reading a getter could have side effects, so only note that it is there.
+      values[name] = { __type: 'accessor', getter: Boolean(descriptor.get), setter: Boolean(descriptor.set) };
+    } else {
+      values[name] = serializeValue(descriptor ? descriptor.value : value[key], options, depth + 1, seen);
+    }
+  }
+  return { values, truncated: keys.length - limit };
+}
+
+function serializeError(error, className, options, depth, seen) {
+  const result = {
+    __type: 'error',
+    className,
+    name: String(error.name),
+    message: String(error.message),
+    stack: typeof error.stack === 'string' ? serializeValue(error.stack, options, depth, seen) : null
+  };
+  seen.add(error);
+  try {
+    if (depth < options.maxDepth) {
+      if ('cause' in error) {
+        result.cause = serializeValue(error.cause, options, depth + 1, seen);
+      }
+      if (Array.isArray(error.errors)) {
+        result.errors = serializeValue(error.errors, options, depth + 1, seen);
+      }
+      const props = serializeProperties(error, options, depth, seen, ['stack', 'message', 'cause', 'errors']);
+      if (Object.keys(props.values).length) {
+        result.props = props.values;
+      }
+    }
+  } finally {
+    seen.delete(error);
+  }
+  return result;
+}
+
+function getClassName(value) {
+  try {
+    const proto = Object.getPrototypeOf(value);
+    if (!proto) {
+      return null;
+    }
+    const ctor = proto.constructor;
+    return typeof ctor === 'function' && ctor.name ? ctor.name : 'Object';
+  } catch (err) {
+    return 'Object';
+  }
+}
+
+function isClassFunction(fn) {
+  try {
+    return /^class[\s{]/.test(Function.prototype.toString.call(fn));
+  } catch (err) {
+    return false;
+  }
+}
+
+function previewBytes(buffer, offset, length) {
+  try {
+    const bytes = new Uint8Array(buffer, offset, Math.min(length, MAX_BYTE_PREVIEW));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(' ');
+  } catch (err) {
+    return '';
+  }
+}
+
+function formatMessage(values) {
+  const first = values[0];
+  if (typeof first !== 'string' || values.length < 2) {
+    return values.map(value => previewValue(value)).join(' ');
+  }
+
+  // Console format specifiers only apply when there is something to substitute.
+  let current = '';
+  let index = 1;
+  let last = 0;
+  FORMAT_SPECIFIER_PATTERN.lastIndex = 0;
+  let match = FORMAT_SPECIFIER_PATTERN.exec(first);
+  while (match) {
+    current += first.slice(last, match.index);
+    last = FORMAT_SPECIFIER_PATTERN.lastIndex;
+    const specifier = match[0][1];
+    if (specifier === '%') {
+      current += '%';
+    } else if (index >= values.length) {
+      current += match[0];
+    } else if (specifier === 'c') {
+      // Node consumes %c arguments without styling anything.
+      index += 1;
+    } else {
+      current += formatSpecifier(specifier, values[index++]);
+    }
+    match = FORMAT_SPECIFIER_PATTERN.exec(first);
   }
-  if (keys.length > limit) {
-    obj.__truncated__ = `${keys.length - limit} more keys`;
+  current += first.slice(last);
+  for (const value of values.slice(index)) {
+    current += ` ${previewValue(value)}`;
   }
-  return obj;
+  return current;
 }
 
-function formatPreview(values) {
-  return values.map(value => previewValue(value)).join(' ');
+function formatSpecifier(specifier, value) {
+  const type = typeof value;
+  if (specifier === 's') {
+    if (type === 'bigint') {
+      return `${value}n`;
+    }
+    return value !== null && (type === 'object' || type === 'function') ? previewValue(value) : String(value);
+  }
+  if (specifier === 'd' || specifier === 'i') {
+    if (type === 'bigint') {
+      return `${value}n`;
+    }
+    if (type === 'symbol') {
+      return 'NaN';
+    }
+    return String(specifier === 'd' ? Number(value) : parseInt(value, 10));
+  }
+  if (specifier === 'f') {
+    return type === 'symbol' ? 'NaN' : String(parseFloat(value));
+  }
+  if (specifier === 'j') {
+    try {
+      return JSON.stringify(value);
+    } catch (err) {
+      return '[Circular]';
+    }
+  }
+  return previewValue(value);
 }
 
 function previewValue(value) {
@@ -1,42 +1,161 @@
 const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const crypto = require('crypto');
 const { URL } = require('url');
 const WebSocket = require('ws');
+const { version: EXTENSION_VERSION } = require('./package.json');
+const { formatValueText } = require('./media/format-value');
 
 const DEFAULT_HOST = '127.0.0.1';
 const DEFAULT_PORT = 4973;
+const DEFAULT_ALLOWED_ORIGINS = [
+  'http://localhost:*',
+  'https://localhost:*',
+  'http://127.0.0.1:*',
+  'https://127.0.0.1:*'
+];
+const SECURITY_EVENT_INTERVAL_MS = 10000;
+const DISCOVERY_PATH = '/console-samurai/discover';
+const REGISTRY_DIR = path.join(os.tmpdir(), 'console-samurai');
+const SESSION_META_FILE = 'session.json';
+const EXPORT_FORMAT = 'console-samurai';
+const EXPORT_FORMAT_VERSION = 1;
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 10];
 
 const LEVELS = ['log', 'info', 'warn', 'error', 'debug', 'trace', 'time', 'network'];
 
+const PROTOCOL_VERSION = 2;
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024;
+const MAX_BATCH_ENTRIES = 500;
+const MAX_CLIENT_INFO_BYTES = 16 * 1024;
+const INLINE_REFRESH_DELAY_MS = 50;
+const HOVER_HISTORY_LIMIT = 10;
+const HOVER_DIFF_LIMIT = 6;
+const SPARKLINE_CHARS = '▁▂▃▄▅▆▇█';
+const CODE_LENS_REFRESH_MS = 1000;
+const HIT_RATE_WINDOW_MS = 60000;
+const MAX_DIAGNOSTICS_PER_FILE = 100;
+const CONSOLE_CALL_PATTERN = /\bconsole\s*\.\s*[A-Za-z]+\s*\(/g;
+const CODE_LENS_SELECTOR = ['javascript', 'javascriptreact', 'typescript', 'typescriptreact']
+  .map(language => ({ language, scheme: 'file' }));
+const EVALUATE_TIMEOUT_MS = 10000;
+const INSPECT_TIMEOUT_MS = 5000;
+const WEBVIEW_FLUSH_MS = 50;
+const LOGPOINT_SYNC_DELAY_MS = 300;
+const CLIENTS_VIEW_REFRESH_MS = 500;
+const CLOSE_DISCONNECTED = 4001;
+const CAPTURE_OPTIONS = [
+  { key: 'captureConsole', label: 'Console', detail: 'console.* calls and timers' },
+  { key: 'captureErrors', label: 'Errors', detail: 'Uncaught exceptions and unhandled rejections' },
+  { key: 'networkEnabled', label: 'Network', detail: 'fetch, XMLHttpRequest and Node http/https' }
+];
+const LOGPOINTS_STATE_KEY = 'consoleSamurai.logpoints';
+const ENTRY_SCHEMA = {
+  level: { type: 'string', max: 32 },
+  kind: { type: 'string', max: 32 },
+  text: { type: 'string', max: 100000, truncate: true },
+  values: { type: 'array', max: 100 },
+  timestamp: { type: 'number' },
+  file: { type: 'string', max: 4096 },
+  line: { type: 'integer' },
+  column: { type: 'integer' },
+  stack: { type: 'string', max: 50000, truncate: true },
+  url: { type: 'string', max: 8192, truncate: true },
+  method: { type: 'string', max: 32 },
+  status: { type: ['number', 'string'], max: 32 },
+  durationMs: { type: 'number' },
+  label: { type: 'string', max: 1024, truncate: true },
+  source: { type: 'string', max: 64 },
+  request: { type: 'object', maxBytes: 1024 * 1024 },
+  response: { type: 'object', maxBytes: 1024 * 1024 },
+  channel: { type: 'object', maxBytes: 256 * 1024 },
+  group: { type: 'object', maxBytes: 1024 },
+  table: { type: 'object', maxBytes: 1024 * 1024 },
+  segments: { type: 'array', max: 100 }
+};
+
+const SOURCE_MAP_RECHECK_MS = 2000;
+const MAX_SOURCE_MAPS = 200;
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map(Array.from(BASE64_CHARS).map((char, index) => [char, index]));
+const URL_SCHEME_PATTERN = /^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//;
+const MAX_STACK_FRAMES = 50;
+const MAX_RESOLVED_FRAME_FILES = 1000;
+const FRAME_FILE_MISS_TTL_MS = 5000;
+const HOVER_VALUE_LINES = 30;
+const CLIENT_SCRIPT_PATTERN = /console-samurai-(?:node|client)\.js/;
+// CSI sequences (SGR colors, cursor and erase codes) and OSC sequences such as terminal hyperlinks.
+const ANSI_ESCAPE_PATTERN = /\u001b\[[0-?]*[ -\/]*[@-~]|\u001b\][^\u0007\u001b]*(?:\u0007|\u001b\\)/g;
+const ANSI_COLOR_NAMES = ['Black', 'Red', 'Green', 'Yellow', 'Blue', 'Magenta', 'Cyan', 'White'];
+const STACK_LOCATION_PATTERN = /((?:[a-zA-Z][a-zA-Z0-9+.-]*:\/\/|\/|[a-zA-Z]:\\)[^\s()]+):(\d+):(\d+)/g;
+
 const state = {
   server: null,
+  httpServer: null,
+  serverStarting: false,
+  serverGeneration: 0,
+  registryFile: null,
   serverHost: DEFAULT_HOST,
   serverPort: DEFAULT_PORT,
   clients: new Map(),
+  clientInfo: new Map(),
+  clientEntryCounts: new Map(),
   clientSeq: 0,
+  evaluations: new Map(),
+  evaluationSeq: 0,
+  inspections: new Map(),
+  inspectionSeq: 0,
+  replClientId: null,
+  replHistory: [],
+  logpoints: new Map(),
+  logpointDecoration: null,
+  logpointSyncTimer: null,
+  clientsViewEmitter: null,
+  clientsViewTimer: null,
+  sessionToken: null,
+  securityEventTimes: new Map(),
   logs: [],
   logSeq: 0,
   maxLogEntries: 2000,
   outputChannel: null,
   statusBar: null,
   webviewPanel: null,
+  webviewQueue: [],
+  webviewFlushTimer: null,
+  session: null,
+  replay: null,
+  replayStatusBar: null,
   inlineEnabled: true,
   lineStateByUri: new Map(),
+  pendingInlineUris: new Set(),
+  inlineRefreshTimer: null,
+  codeLensEmitter: null,
+  diagnostics: null,
+  diagnosticsByUri: new Map(),
+  codeLensTimer: null,
   decorations: new Map(),
+  sourceMaps: new Map(),
+  resolvedFrameFiles: new Map(),
   config: null,
   extensionContext: null
 };
 
 function activate(context) {
   state.extensionContext = context;
+  state.sessionToken = loadSessionToken(context);
   state.outputChannel = vscode.window.createOutputChannel('Console Samurai');
   state.statusBar = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 5);
   state.statusBar.command = 'consoleSamurai.showOutput';
   state.statusBar.show();
+  state.replayStatusBar = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 4);
+  state.replayStatusBar.command = 'consoleSamurai.replayControls';
 
   buildDecorations();
   loadConfig();
+  loadLogpoints(context);
   updateNodeAutoAttach(context);
 
   context.subscriptions.push(
@@ -45,7 +164,51 @@ function activate(context) {
     vscode.commands.registerCommand('consoleSamurai.showOutput', () => showOutput()),
     vscode.commands.registerCommand('consoleSamurai.clearLogs', () => clearLogs()),
     vscode.commands.registerCommand('consoleSamurai.toggleInline', () => toggleInline()),
-    vscode.commands.registerCommand('consoleSamurai.toggleNetwork', () => toggleNetwork())
+    vscode.commands.registerCommand('consoleSamurai.toggleNetwork', () => toggleNetwork()),
+    vscode.commands.registerCommand('consoleSamurai.copyBrowserConfig', () => copyBrowserConfig()),
+    vscode.commands.registerCommand('consoleSamurai.openSession', () => openSession()),
+    vscode.commands.registerCommand('consoleSamurai.exportLogs', () => exportLogsFromCommand()),
+    vscode.commands.registerCommand('consoleSamurai.importLogs', () => importLogs()),
+    vscode.commands.registerCommand('consoleSamurai.replayControls', () => showReplayControls()),
+    vscode.commands.registerCommand('consoleSamurai.replayTogglePause', () => toggleReplayPause()),
+    vscode.commands.registerCommand('consoleSamurai.replaySetSpeed', () => pickReplaySpeed()),
+    vscode.commands.registerCommand('consoleSamurai.replayStop', () => stopReplay()),
+    vscode.commands.registerCommand('consoleSamurai.evaluate', () => evaluateInClient()),
+    vscode.commands.registerCommand('consoleSamurai.toggleLogpoint', () => toggleLogpoint()),
+    vscode.commands.registerCommand('consoleSamurai.removeAllLogpoints', () => removeAllLogpoints()),
+    vscode.commands.registerCommand('consoleSamurai.muteClient', item => setClientMuted(item, true)),
+    vscode.commands.registerCommand('consoleSamurai.unmuteClient', item => setClientMuted(item, false)),
+    vscode.commands.registerCommand('consoleSamurai.disconnectClient', item => disconnectClient(item)),
+    vscode.commands.registerCommand('consoleSamurai.filterClient', item => filterViewerByClient(item)),
+    vscode.commands.registerCommand('consoleSamurai.configureClient', item => configureClientCapture(item)),
+    vscode.commands.registerCommand('consoleSamurai.showLineInViewer', (uriKey, line) => showLineInViewer(uriKey, line)),
+    vscode.commands.registerCommand('consoleSamurai.clearLineHits', (uriKey, line) => clearLineHits(uriKey, line)),
+    vscode.commands.registerCommand('consoleSamurai.openLocation', (filePath, line, column) => openLocation(filePath, line, column))
+  );
+
+  state.diagnostics = vscode.languages.createDiagnosticCollection('Console Samurai');
+  context.subscriptions.push(state.diagnostics);
+
+  state.codeLensEmitter = new vscode.EventEmitter();
+  context.subscriptions.push(
+    state.codeLensEmitter,
+    vscode.languages.registerCodeLensProvider(CODE_LENS_SELECTOR, {
+      onDidChangeCodeLenses: state.codeLensEmitter.event,
+      provideCodeLenses: document => buildCodeLenses(document)
+    }),
+    vscode.languages.registerHoverProvider({ scheme: 'file' }, {
+      provideHover: (document, position) => provideInlineHover(document, position)
+    })
+  );
+
+  state.clientsViewEmitter = new vscode.EventEmitter();
+  context.subscriptions.push(
+    state.clientsViewEmitter,
+    vscode.window.registerTreeDataProvider('consoleSamurai.clients', {
+      onDidChangeTreeData: state.clientsViewEmitter.event,
+      getTreeItem: item => item,
+      getChildren: item => buildClientItems(item ? item.clientId : null)
+    })
   );
 
   context.subscriptions.push(
@@ -58,10 +221,28 @@ function activate(context) {
     })
   );
 
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeWorkspaceFolders(() => {
+      if (state.server) {
+        registerWindow();
+      }
+    })
+  );
+
   context.subscriptions.push(
     vscode.window.onDidChangeVisibleTextEditors(editors => {
       for (const editor of editors) {
         refreshInlineForEditor(editor);
+        refreshLogpointsForEditor(editor);
+      }
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeTextDocument(event => {
+      shiftLogpoints(event);
+      if (event.contentChanges.length) {
+        clearDiagnosticsFor(event.document.uri);
       }
     })
   );
@@ -74,6 +255,8 @@ function activate(context) {
 }
 
 function deactivate() {
+  clearTimeout(state.webviewFlushTimer);
+  stopReplay();
   stopServer();
   if (state.extensionContext && state.extensionContext.environmentVariableCollection) {
     state.extensionContext.environmentVariableCollection.clear();
@@ -86,20 +269,39 @@ function loadConfig() {
     autoStart: cfg.get('autoStart', true),
     host: cfg.get('host', DEFAULT_HOST),
     port: cfg.get('port', DEFAULT_PORT),
+    portFallbackRange: cfg.get('portFallbackRange', 10),
     maxLogEntries: cfg.get('maxLogEntries', 2000),
+    sessionsEnabled: cfg.get('sessions.enabled', true),
+    sessionsMaxSessions: cfg.get('sessions.maxSessions', 20),
+    sessionsMaxFileSizeMB: cfg.get('sessions.maxFileSizeMB', 5),
+    sessionsMaxFilesPerSession: cfg.get('sessions.maxFilesPerSession', 10),
     inlineEnabled: cfg.get('inline.enabled', true),
     inlineMaxTextLength: cfg.get('inline.maxTextLength', 120),
     inlineShowTimestamp: cfg.get('inline.showTimestamp', false),
+    inlineHistorySize: Math.max(1, cfg.get('inline.historySize', 20)),
+    codeLensEnabled: cfg.get('codeLens.enabled', true),
+    diagnosticsEnabled: cfg.get('diagnostics.enabled', true),
     enabledLevels: cfg.get('output.enabledLevels', LEVELS.slice()),
     networkEnabled: cfg.get('network.enabled', true),
     captureErrors: cfg.get('captureErrors', true),
+    replEnabled: cfg.get('repl.enabled', false),
+    requireToken: cfg.get('security.requireToken', true),
+    allowedOrigins: cfg.get('security.allowedOrigins', DEFAULT_ALLOWED_ORIGINS.slice()),
     nodeAutoAttach: cfg.get('node.autoAttach', true),
+    nodeAttachChildren: cfg.get('node.attachChildren', true),
     pathMappings: cfg.get('pathMappings', []),
+    sourceMapsEnabled: cfg.get('sourceMaps.enabled', true),
     logCaptureOptions: cfg.get('logCaptureOptions', {
       maxDepth: 4,
       maxProps: 50,
       maxArray: 50,
-      maxStringLength: 2000
+      maxStringLength: 2000,
+      captureHeaders: false,
+      captureBodies: false,
+      maxBodyLength: 10000,
+      captureChannels: false,
+      maxFrameLength: 1000,
+      frameSampleRate: 1
     })
   };
 
@@ -123,6 +325,14 @@ function handleConfigChange(prevConfig, nextConfig) {
     startServer();
   }
 
+  if (prevConfig.sessionsEnabled !== nextConfig.sessionsEnabled && state.server) {
+    if (nextConfig.sessionsEnabled) {
+      beginSession();
+    } else {
+      endSession();
+    }
+  }
+
   if (prevConfig.inlineEnabled !== nextConfig.inlineEnabled) {
     state.inlineEnabled = nextConfig.inlineEnabled;
     refreshInlineAll();
@@ -133,9 +343,25 @@ function handleConfigChange(prevConfig, nextConfig) {
     refreshInlineAll();
   }
 
+  if (prevConfig.diagnosticsEnabled && !nextConfig.diagnosticsEnabled) {
+    clearDiagnostics();
+  }
+
+  if (prevConfig.codeLensEnabled !== nextConfig.codeLensEnabled) {
+    refreshCodeLenses();
+  }
+
   if (prevConfig.maxLogEntries !== nextConfig.maxLogEntries) {
     state.maxLogEntries = nextConfig.maxLogEntries;
     trimLogs();
+    // An empty append still moves the viewer's trim watermark.
+    updateWebview([]);
+  }
+
+  if (prevConfig.sourceMapsEnabled !== nextConfig.sourceMapsEnabled ||
+      JSON.stringify(prevConfig.pathMappings) !== JSON.stringify(nextConfig.pathMappings)) {
+    state.sourceMaps.clear();
+    state.resolvedFrameFiles.clear();
   }
 
   if (prevConfig.enabledLevels.join(',') !== nextConfig.enabledLevels.join(',')) {
@@ -143,21 +369,39 @@ function handleConfigChange(prevConfig, nextConfig) {
     updateWebview();
   }
 
+  if (prevConfig.requireToken !== nextConfig.requireToken ||
+      JSON.stringify(prevConfig.allowedOrigins) !== JSON.stringify(nextConfig.allowedOrigins)) {
+    disconnectUnauthorizedClients();
+  }
+
   if (prevConfig.nodeAutoAttach !== nextConfig.nodeAutoAttach ||
+      prevConfig.nodeAttachChildren !== nextConfig.nodeAttachChildren ||
       prevConfig.host !== nextConfig.host ||
       prevConfig.port !== nextConfig.port ||
       prevConfig.captureErrors !== nextConfig.captureErrors ||
+      prevConfig.networkEnabled !== nextConfig.networkEnabled ||
       JSON.stringify(prevConfig.logCaptureOptions) !== JSON.stringify(nextConfig.logCaptureOptions)) {
     updateNodeAutoAttach(state.extensionContext);
   }
 
   if (prevConfig.networkEnabled !== nextConfig.networkEnabled ||
       prevConfig.captureErrors !== nextConfig.captureErrors ||
+      prevConfig.replEnabled !== nextConfig.replEnabled ||
       JSON.stringify(prevConfig.logCaptureOptions) !== JSON.stringify(nextConfig.logCaptureOptions)) {
     broadcastConfig();
   }
 }
 
+function loadSessionToken(context) {
+  const stored = context.workspaceState.get('consoleSamurai.sessionToken');
+  if (typeof stored === 'string' && stored) {
+    return stored;
+  }
+  const token = crypto.randomBytes(24).toString('hex');
+  context.workspaceState.update('consoleSamurai.sessionToken', token);
+  return token;
+}
+
 function buildDecorations() {
   const colors = {
     log: new vscode.ThemeColor('editorCodeLens.foreground'),
@@ -179,26 +423,97 @@ function buildDecorations() {
     });
     state.decorations.set(level, decoration);
   }
+
+  state.logpointDecoration = vscode.window.createTextEditorDecorationType({
+    gutterIconPath: path.join(__dirname, 'media', 'logpoint.svg'),
+    gutterIconSize: '70%',
+    overviewRulerColor: new vscode.ThemeColor('debugIcon.breakpointForeground'),
+    overviewRulerLane: vscode.OverviewRulerLane.Left
+  });
 }
 
 function startServer() {
-  if (state.server) {
+  if (state.server || state.serverStarting) {
     updateStatusBar();
     return;
   }
 
-  const { host, port } = state.config;
+  const { host, port, portFallbackRange } = state.config;
+  const generation = ++state.serverGeneration;
+  state.serverStarting = true;
+  updateStatusBar();
+
+  listenOnFreePort(host, port, portFallbackRange).then(httpServer => {
+    state.serverStarting = false;
+    if (generation !== state.serverGeneration) {
+      httpServer.close();
+      return;
+    }
+    attachServer(httpServer, host);
+  }, err => {
+    state.serverStarting = false;
+    if (generation === state.serverGeneration) {
+      vscode.window.showErrorMessage(`Console Samurai failed to start server: ${err.message}`);
+      updateStatusBar();
+    }
+  });
+}
+
+function listenOnFreePort(host, port, range) {
+  const maxAttempts = Math.max(0, range || 0);
+  const attempt = offset => listen(host, port + offset).catch(err => {
+    if (err.code !== 'EADDRINUSE' || maxAttempts === 0) {
+      throw err;
+    }
+    if (offset < maxAttempts) {
+      return attempt(offset + 1);
+    }
+    return listen(host, 0);
+  });
+  return attempt(0);
+}
+
+function listen(host, port) {
+  return new Promise((resolve, reject) => {
+    const httpServer = http.createServer((req, res) => handleHttpRequest(req, res));
+    const onError = err => {
+      httpServer.close();
+      reject(err);
+    };
+    httpServer.once('error', onError);
+    httpServer.listen(port, host, () => {
+      httpServer.removeListener('error', onError);
+      resolve(httpServer);
+    });
+  });
+}
+
+function attachServer(httpServer, host) {
+  state.httpServer = httpServer;
   state.serverHost = host;
-  state.serverPort = port;
+  state.serverPort = httpServer.address().port;
 
   try {
-    const wss = new WebSocket.Server({ host, port });
+    const wss = new WebSocket.Server({ server: httpServer, verifyClient, maxPayload: MAX_MESSAGE_BYTES });
     state.server = wss;
 
     wss.on('connection', (ws, req) => {
       const clientId = ++state.clientSeq;
-      state.clients.set(clientId, { ws, info: { remote: req.socket.remoteAddress } });
-      sendConfigToClient(ws);
+      const info = { remote: req.socket.remoteAddress, connectedAt: Date.now() };
+      state.clients.set(clientId, {
+        ws,
+        req,
+        info,
+        protocol: 1,
+        dropped: 0,
+        entryCount: 0,
+        mutedCount: 0,
+        muted: false,
+        overrides: null
+      });
+      state.clientInfo.set(clientId, info);
+      sendServerHello(ws);
+      sendConfigToClient(state.clients.get(clientId));
 
       ws.on('message', data => {
         handleClientMessage(clientId, data);
@@ -206,48 +521,286 @@ function startServer() {
 
       ws.on('close', () => {
         state.clients.delete(clientId);
+        forgetClientInfo(clientId);
+        failEvaluations(clientId, 'Client disconnected');
+        failInspections(clientId, 'Client disconnected');
         updateStatusBar();
         updateWebview();
+        refreshClientsView();
       });
 
       ws.on('error', () => {
         state.clients.delete(clientId);
+        forgetClientInfo(clientId);
+        failEvaluations(clientId, 'Client disconnected');
+        failInspections(clientId, 'Client disconnected');
         updateStatusBar();
         updateWebview();
+        refreshClientsView();
       });
 
       updateStatusBar();
       updateWebview();
+      refreshClientsView();
     });
 
-    wss.on('error', err => {
+    httpServer.on('error', err => {
       vscode.window.showErrorMessage(`Console Samurai server error: ${err.message}`);
       stopServer();
     });
+
+    beginSession();
+    registerWindow();
+    updateNodeAutoAttach(state.extensionContext);
+    if (state.serverPort !== state.config.port) {
+      state.outputChannel.appendLine(`Console Samurai: port ${state.config.port} is busy, listening on ${state.serverPort} instead.`);
+    }
   } catch (err) {
     vscode.window.showErrorMessage(`Console Samurai failed to start server: ${err.message}`);
+    httpServer.close();
     state.server = null;
+    state.httpServer = null;
   }
 
   updateStatusBar();
+  updateWebview();
+}
+
+function handleHttpRequest(req, res) {
+  let pathname = '/';
+  try {
+    pathname = new URL(req.url || '/', 'http://localhost').pathname;
+  } catch (err) {
+    pathname = '/';
+  }
+
+  if (req.method !== 'GET' || pathname !== DISCOVERY_PATH) {
+    res.writeHead(404);
+    res.end();
+    return;
+  }
+
+  const origin = req.headers.origin;
+  if (origin && !isOriginAllowed(origin)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  const windows = readRegistry().map(record => ({
+    host: record.host,
+    port: record.port,
+    workspaceFolders: record.workspaceFolders,
+    startedAt: record.startedAt
+  }));
+  const headers = { 'Content-Type': 'application/json' };
+  if (origin) {
+    headers['Access-Control-Allow-Origin'] = origin;
+    headers.Vary = 'Origin';
+  }
+  res.writeHead(200, headers);
+  res.end(JSON.stringify({ windows }));
+}
+
+function registerWindow() {
+  const record = {
+    pid: process.pid,
+    host: state.serverHost,
+    port: state.serverPort,
+    token: state.sessionToken,
+    workspaceFolders: (vscode.workspace.workspaceFolders || []).map(folder => ({
+      name: folder.name,
+      path: folder.uri.fsPath
+    })),
+    startedAt: Date.now()
+  };
+
+  try {
+    fs.mkdirSync(REGISTRY_DIR, { recursive: true, mode: 0o700 });
+    const file = path.join(REGISTRY_DIR, `window-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify(record, null, 2), { mode: 0o600 });
+    state.registryFile = file;
+  } catch (err) {
+    // Discovery is optional; the configured port still works.
+  }
+}
+
+function unregisterWindow() {
+  if (!state.registryFile) {
+    return;
+  }
+  try {
+    fs.unlinkSync(state.registryFile);
+  } catch (err) {
+    // Already removed.
+  }
+  state.registryFile = null;
+}
+
+function readRegistry() {
+  let names = [];
+  try {
+    names = fs.readdirSync(REGISTRY_DIR).filter(name => /^window-\d+\.json$/.test(name));
+  } catch (err) {
+    return [];
+  }
+
+  const records = [];
+  for (const name of names) {
+    const file = path.join(REGISTRY_DIR, name);
+    let record;
+    try {
+      record = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      continue;
+    }
+    if (!record || !isProcessAlive(record.pid)) {
+      fs.rm(file, { force: true }, () => {});
+      continue;
+    }
+    records.push(record);
+  }
+  return records;
+}
+
+function isProcessAlive(pid) {
+  if (typeof pid !== 'number') {
+    return false;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function verifyClient(info, done) {
+  const reason = checkConnection(info.req, info.origin);
+  if (reason) {
+    recordSecurityEvent(info.req, info.origin, reason);
+    done(false, 403, reason);
+    return;
+  }
+  done(true);
+}
+
+function checkConnection(req, origin) {
+  if (origin && !isOriginAllowed(origin)) {
+    return 'Origin not allowed';
+  }
+
+  if (state.config.requireToken) {
+    let token = null;
+    try {
+      token = new URL(req.url || '/', 'ws://localhost').searchParams.get('token');
+    } catch (err) {
+      token = null;
+    }
+    if (!token) {
+      return 'Missing session token';
+    }
+    if (!tokensMatch(token, state.sessionToken)) {
+      return 'Invalid session token';
+    }
+  }
+
+  return null;
+}
+
+function isOriginAllowed(origin) {
+  const patterns = state.config.allowedOrigins || [];
+  for (const pattern of patterns) {
+    if (typeof pattern !== 'string' || !pattern) {
+      continue;
+    }
+    // A trailing :* also covers the default port, which browsers leave out of the Origin.
+    const portless = pattern.endsWith(':*');
+    const body = portless ? pattern.slice(0, -2) : pattern;
+    const regex = new RegExp(`^${body.split('*').map(escapeRegExp).join('.*')}${portless ? '(?::.*)?' : ''}$`, 'i');
+    if (regex.test(origin)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function tokensMatch(received, expected) {
+  if (!expected) {
+    return false;
+  }
+  const a = Buffer.from(String(received));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function disconnectUnauthorizedClients() {
+  for (const client of state.clients.values()) {
+    const reason = checkConnection(client.req, client.req.headers.origin);
+    if (reason) {
+      recordSecurityEvent(client.req, client.req.headers.origin, reason);
+      client.ws.close(1008, reason);
+    }
+  }
+}
+
+function recordSecurityEvent(req, origin, reason) {
+  const remote = req && req.socket ? req.socket.remoteAddress : null;
+  const key = `${remote}|${origin || ''}|${reason}`;
+  const now = Date.now();
+  const last = state.securityEventTimes.get(key);
+  if (last && now - last < SECURITY_EVENT_INTERVAL_MS) {
+    return;
+  }
+  for (const [seenKey, seenAt] of state.securityEventTimes) {
+    if (now - seenAt >= SECURITY_EVENT_INTERVAL_MS) {
+      state.securityEventTimes.delete(seenKey);
+    }
+  }
+  state.securityEventTimes.set(key, now);
+
+  addLogEntry({
+    level: 'warn',
+    kind: 'security',
+    text: `Rejected connection from ${origin || 'unknown origin'} (${remote || 'unknown address'}): ${reason}`,
+    values: [{
+      reason,
+      origin: origin || null,
+      remote,
+      userAgent: req && req.headers ? req.headers['user-agent'] || null : null
+    }],
+    timestamp: now,
+    source: 'server'
+  }, null);
 }
 
 function stopServer() {
+  state.serverGeneration += 1;
+  state.serverStarting = false;
   if (!state.server) {
     updateStatusBar();
     return;
   }
 
+  for (const { ws } of state.clients.values()) {
+    ws.close(1001, 'Console Samurai server stopped');
+  }
+
   try {
     state.server.close();
+    state.httpServer.close();
   } catch (err) {
     // Ignore close errors.
   }
 
   state.server = null;
+  state.httpServer = null;
   state.clients.clear();
+  unregisterWindow();
+  endSession();
   updateStatusBar();
   updateWebview();
+  refreshClientsView();
 }
 
 function updateStatusBar() {
@@ -258,7 +811,12 @@ function updateStatusBar() {
   if (state.server) {
     const count = state.clients.size;
     state.statusBar.text = `$(debug-console) Console Samurai: ${state.serverHost}:${state.serverPort} (${count})`;
-    state.statusBar.tooltip = 'Console Samurai server is running';
+    state.statusBar.tooltip = state.serverPort === state.config.port
+      ? 'Console Samurai server is running'
+      : `Console Samurai server is running (port ${state.config.port} was busy)`;
+  } else if (state.serverStarting) {
+    state.statusBar.text = '$(loading~spin) Console Samurai: starting';
+    state.statusBar.tooltip = 'Console Samurai server is starting';
   } else {
     state.statusBar.text = '$(debug-console) Console Samurai: stopped';
     state.statusBar.tooltip = 'Console Samurai server is stopped';
@@ -277,21 +835,191 @@ function handleClientMessage(clientId, data) {
     return;
   }
 
+  const client = state.clients.get(clientId);
+  if (!client) {
+    return;
+  }
+
   if (message.type === 'hello') {
-    const client = state.clients.get(clientId);
-    if (client) {
-      client.info = Object.assign({}, client.info, message.client || {});
-      updateWebview();
-    }
+    const info = sanitizeClientInfo(message.client);
+    client.protocol = Number.isInteger(message.protocol) ? message.protocol : 1;
+    // Fields the server records itself are applied last so the client can't overwrite them.
+    client.info = Object.assign({}, client.info, info, {
+      remote: client.info.remote,
+      connectedAt: client.info.connectedAt,
+      protocol: client.protocol
+    });
+    state.clientInfo.set(clientId, client.info);
+    recordSessionLine({ type: 'client', clientId, info: client.info, timestamp: Date.now() });
+    sendLogpointsToClient(client);
+    updateWebview();
+    refreshClientsView();
     return;
   }
 
   if (message.type === 'log') {
-    addLogEntry(message, clientId);
+    const payload = sanitizeLogPayload(message);
+    if (!payload) {
+      reportDroppedEntry(client, clientId, 'invalid log entry');
+      return;
+    }
+    if (countClientEntries(client, 1)) {
+      addLogEntry(payload, clientId);
+    }
+    return;
+  }
+
+  if (message.type === 'batch') {
+    if (!Array.isArray(message.entries)) {
+      reportDroppedEntry(client, clientId, 'batch without entries');
+      return;
+    }
+    if (message.entries.length > MAX_BATCH_ENTRIES) {
+      reportDroppedEntry(client, clientId, `batch over ${MAX_BATCH_ENTRIES} entries`, message.entries.length - MAX_BATCH_ENTRIES);
+    }
+
+    const payloads = [];
+    for (const item of message.entries.slice(0, MAX_BATCH_ENTRIES)) {
+      const payload = item && item.type === 'log' ? sanitizeLogPayload(item) : null;
+      if (payload) {
+        payloads.push(payload);
+      } else {
+        reportDroppedEntry(client, clientId, 'invalid log entry in batch');
+      }
+    }
+    if (countClientEntries(client, payloads.length)) {
+      addLogEntries(payloads, clientId);
+    }
+    return;
+  }
+
+  if (message.type === 'evaluateResult') {
+    handleEvaluateResult(clientId, message);
+    return;
+  }
+
+  if (message.type === 'inspectResult') {
+    handleInspectResult(clientId, message);
+  }
+}
+
+function countClientEntries(client, count) {
+  if (client.muted) {
+    client.mutedCount += count;
+  } else {
+    client.entryCount += count;
+  }
+  scheduleClientsViewRefresh();
+  return !client.muted;
+}
+
+function sendServerHello(ws) {
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  ws.send(JSON.stringify({
+    type: 'hello',
+    protocol: PROTOCOL_VERSION,
+    server: {
+      name: 'console-samurai',
+      version: EXTENSION_VERSION
+    },
+    capabilities: ['batch'],
+    limits: {
+      maxMessageBytes: MAX_MESSAGE_BYTES,
+      maxBatchEntries: MAX_BATCH_ENTRIES
+    }
+  }));
+}
+
+function sanitizeClientInfo(info) {
+  if (!info || typeof info !== 'object' || Array.isArray(info)) {
+    return {};
+  }
+  try {
+    if (JSON.stringify(info).length > MAX_CLIENT_INFO_BYTES) {
+      return {};
+    }
+  } catch (err) {
+    return {};
+  }
+  return info;
+}
+
+function sanitizeLogPayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return null;
+  }
+
+  const result = {};
+  for (const [field, rule] of Object.entries(ENTRY_SCHEMA)) {
+    const value = payload[field];
+    if (value == null) {
+      continue;
+    }
+    const sanitized = sanitizeField(value, rule);
+    // A bad optional field (say, a negative column) costs only that field, not the entry.
+    if (sanitized !== undefined) {
+      result[field] = sanitized;
+    }
+  }
+  return result;
+}
+
+function sanitizeField(value, rule) {
+  const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+  const type = Array.isArray(value) ? 'array' : typeof value;
+
+  if (types.includes('integer') && Number.isInteger(value) && value >= 0) {
+    return value;
+  }
+  if (types.includes('number') && type === 'number' && Number.isFinite(value)) {
+    return value;
+  }
+  if (types.includes('string') && type === 'string') {
+    if (value.length <= rule.max) {
+      return value;
+    }
+    return rule.truncate ? `${value.slice(0, rule.max)}...` : undefined;
+  }
+  if (types.includes('array') && type === 'array') {
+    return value.length <= rule.max ? value : value.slice(0, rule.max);
+  }
+  if (types.includes('object') && type === 'object') {
+    try {
+      return JSON.stringify(value).length <= rule.maxBytes ? value : undefined;
+    } catch (err) {
+      return undefined;
+    }
+  }
+  return undefined;
+}
+
+function reportDroppedEntry(client, clientId, reason, count) {
+  const previous = client.dropped;
+  client.dropped += count || 1;
+  if (!previous && state.outputChannel) {
+    state.outputChannel.appendLine(`Console Samurai dropped data from client ${clientId}: ${reason}.`);
+  }
+}
+
+function addLogEntry(payload, clientId, imported) {
+  const entry = recordLogEntry(payload, clientId, imported);
+  updateWebview([entry]);
+  return entry;
+}
+
+function addLogEntries(payloads, clientId) {
+  if (!payloads.length) {
+    return;
   }
+  const entries = payloads.map(payload => recordLogEntry(payload, clientId));
+  updateWebview(entries);
 }
 
-function addLogEntry(payload, clientId) {
+// imported marks entries recorded elsewhere, whose paths may come from another machine.
+function recordLogEntry(payload, clientId, imported) {
   const level = sanitizeLevel(payload.level || payload.kind || 'log');
   const timestamp = typeof payload.timestamp === 'number' ? payload.timestamp : Date.now();
 
@@ -312,49 +1040,328 @@ function addLogEntry(payload, clientId) {
     durationMs: payload.durationMs || null,
     label: payload.label || null,
     source: payload.source || null,
+    request: normalizeHttpDetails(payload.request),
+    response: normalizeHttpDetails(payload.response),
+    channel: normalizeChannelDetails(payload.channel),
+    group: normalizeGroup(payload.group),
+    table: normalizeTable(payload.table),
+    segments: normalizeSegments(payload.segments),
     clientId
   };
 
+  if (entry.text.includes('\u001b')) {
+    // Keep the colors for the viewer; everything else works on plain text.
+    entry.segments = entry.segments
+      ? entry.segments.map(segment => ({ text: stripAnsi(segment.text), style: segment.style }))
+      : parseAnsiSegments(entry.text);
+    entry.text = stripAnsi(entry.text);
+  }
+
+  applySourceMaps(entry);
+  entry.resolvedPath = resolveEntryPath(entry, imported);
+  if (entry.stack) {
+    entry.frames = parseStackFrames(entry.stack, imported);
+  }
+
   state.logs.push(entry);
+  if (clientId != null) {
+    state.clientEntryCounts.set(clientId, (state.clientEntryCounts.get(clientId) || 0) + 1);
+  }
   trimLogs();
+  // Imported and replayed entries aren't traffic from this session, so they stay out of its recording.
+  if (!imported) {
+    recordSessionLine({ type: 'entry', entry: toStoredEntry(entry) });
+  }
 
   if (state.config.enabledLevels.includes(entry.level)) {
     appendOutput(entry);
-    if (state.inlineEnabled) {
-      updateInlineForEntry(entry);
-    }
+    // Line state also feeds the CodeLens hit counts, so keep it while inline text is hidden.
+    updateLineState(entry);
   }
 
-  updateWebview(entry);
-}
-
-function trimLogs() {
-  if (state.logs.length <= state.maxLogEntries) {
-    return;
+  if ((entry.kind === 'error' || entry.kind === 'assert') && state.config.diagnosticsEnabled) {
+    reportDiagnostic(entry);
   }
 
-  const overflow = state.logs.length - state.maxLogEntries;
-  state.logs.splice(0, overflow);
+  return entry;
 }
 
-function appendOutput(entry) {
-  if (!state.outputChannel) {
-    return;
+function normalizeHttpDetails(details) {
+  if (!details || typeof details !== 'object' || Array.isArray(details)) {
+    return null;
   }
 
-  const time = formatTimestamp(entry.timestamp);
-  const location = entry.file && entry.line ? ` ${shortenPath(entry.file)}:${entry.line}` : '';
-  const text = entry.text || formatFallbackText(entry);
-  state.outputChannel.appendLine(`[${time}] ${entry.level.toUpperCase()}${location} ${text}`);
+  const result = {};
+  if (details.headers && typeof details.headers === 'object' && !Array.isArray(details.headers)) {
+    result.headers = {};
+    for (const [name, value] of Object.entries(details.headers)) {
+      if (typeof value === 'string') {
+        result.headers[name] = value;
+      }
+    }
+  }
+  if (typeof details.contentType === 'string') {
+    result.contentType = details.contentType;
+  }
+  for (const field of ['size', 'bodySize']) {
+    if (Number.isFinite(details[field])) {
+      result[field] = details[field];
+    }
+  }
+  if (typeof details.body === 'string') {
+    result.body = details.body;
+    result.truncated = details.truncated === true;
+  }
+  return Object.keys(result).length ? result : null;
 }
 
-function updateInlineForEntry(entry) {
-  const resolvedPath = resolveEntryPath(entry);
-  if (!resolvedPath) {
-    return;
+function normalizeChannelDetails(details) {
+  if (!details || typeof details !== 'object' || Array.isArray(details)) {
+    return null;
+  }
+  if (!Number.isInteger(details.id) || typeof details.event !== 'string') {
+    return null;
+  }
+
+  const result = {
+    id: details.id,
+    type: details.type === 'eventsource' ? 'eventsource' : 'websocket',
+    event: details.event.slice(0, 128)
+  };
+  if (details.direction === 'in' || details.direction === 'out') {
+    result.direction = details.direction;
+  }
+  for (const field of ['seq', 'size', 'code', 'frames', 'recorded']) {
+    if (Number.isFinite(details[field])) {
+      result[field] = details[field];
+    }
+  }
+  for (const field of ['data', 'reason', 'protocol']) {
+    if (typeof details[field] === 'string') {
+      result[field] = details[field];
+    }
+  }
+  for (const field of ['truncated', 'binary', 'wasClean']) {
+    if (typeof details[field] === 'boolean') {
+      result[field] = details[field];
+    }
+  }
+  return result;
+}
+
+function normalizeGroup(group) {
+  if (!group || typeof group !== 'object' || (group.action !== 'start' && group.action !== 'end')) {
+    return null;
+  }
+  return {
+    action: group.action,
+    collapsed: group.collapsed === true,
+    depth: Number.isInteger(group.depth) && group.depth >= 0 ? group.depth : 0
+  };
+}
+
+function normalizeTable(table) {
+  if (!table || typeof table !== 'object' || !Array.isArray(table.columns) || !Array.isArray(table.rows)) {
+    return null;
+  }
+  const columns = table.columns.map(column => String(column));
+  const rows = table.rows
+    .filter(row => Array.isArray(row))
+    .map(row => Array.from({ length: columns.length + 1 }, (_, index) => (row[index] == null ? '' : String(row[index]))));
+  return { columns, rows, truncated: table.truncated === true };
+}
+
+function normalizeSegments(segments) {
+  if (!Array.isArray(segments)) {
+    return null;
+  }
+  // Same budget as the plain text field, so styled messages can't grow past it.
+  let remaining = ENTRY_SCHEMA.text.max;
+  const result = [];
+  for (const segment of segments) {
+    if (!segment || typeof segment.text !== 'string' || remaining <= 0) {
+      continue;
+    }
+    const text = segment.text.slice(0, remaining);
+    remaining -= text.length;
+    result.push({ text, style: typeof segment.style === 'string' ? segment.style.slice(0, 2000) : '' });
+  }
+  return result.length ? result : null;
+}
+
+function stripAnsi(text) {
+  return text.replace(ANSI_ESCAPE_PATTERN, '');
+}
+
+function parseAnsiSegments(text) {
+  const segments = [];
+  const style = {};
+  let last = 0;
+  const push = chunk => {
+    if (chunk) {
+      segments.push({ text: chunk, style: formatAnsiStyle(style) });
+    }
+  };
+
+  ANSI_ESCAPE_PATTERN.lastIndex = 0;
+  let match = ANSI_ESCAPE_PATTERN.exec(text);
+  while (match) {
+    push(text.slice(last, match.index));
+    last = ANSI_ESCAPE_PATTERN.lastIndex;
+    const sgr = /^\u001b\[([0-9;]*)m$/.exec(match[0]);
+    if (sgr) {
+      applySgrCodes(style, sgr[1] ? sgr[1].split(';').map(Number) : [0]);
+    }
+    match = ANSI_ESCAPE_PATTERN.exec(text);
+  }
+  push(text.slice(last));
+  return segments.length ? segments : null;
+}
+
+function applySgrCodes(style, codes) {
+  for (let i = 0; i < codes.length; i += 1) {
+    const code = codes[i];
+    if (code === 0) {
+      Object.keys(style).forEach(key => delete style[key]);
+    } else if (code === 1) {
+      style.bold = true;
+    } else if (code === 2) {
+      style.dim = true;
+    } else if (code === 3) {
+      style.italic = true;
+    } else if (code === 4) {
+      style.underline = true;
+    } else if (code === 7) {
+      style.inverse = true;
+    } else if (code === 9) {
+      style.strike = true;
+    } else if (code === 22) {
+      delete style.bold;
+      delete style.dim;
+    } else if (code === 23) {
+      delete style.italic;
+    } else if (code === 24) {
+      delete style.underline;
+    } else if (code === 27) {
+      delete style.inverse;
+    } else if (code === 29) {
+      delete style.strike;
+    } else if ((code >= 30 && code <= 37) || (code >= 90 && code <= 97)) {
+      style.fg = ansiThemeColor(code >= 90 ? code - 90 + 8 : code - 30);
+    } else if ((code >= 40 && code <= 47) || (code >= 100 && code <= 107)) {
+      style.bg = ansiThemeColor(code >= 100 ? code - 100 + 8 : code - 40);
+    } else if (code === 39) {
+      delete style.fg;
+    } else if (code === 49) {
+      delete style.bg;
+    } else if (code === 38 || code === 48) {
+      // 38;5;n picks from the 256-color palette, 38;2;r;g;b is a true color.
+      let color = null;
+      if (codes[i + 1] === 5) {
+        color = ansi256Color(codes[i + 2]);
+        i += 2;
+      } else if (codes[i + 1] === 2) {
+        color = `rgb(${codes.slice(i + 2, i + 5).map(value => Math.min(255, value || 0)).join(', ')})`;
+        i += 4;
+      }
+      if (color) {
+        style[code === 38 ? 'fg' : 'bg'] = color;
+      }
+    }
+  }
+}
+
+function ansiThemeColor(index) {
+  const name = ANSI_COLOR_NAMES[index % 8];
+  return `var(--vscode-terminal-ansi${index >= 8 ? 'Bright' : ''}${name})`;
+}
+
+function ansi256Color(index) {
+  if (!Number.isInteger(index) || index < 0 || index > 255) {
+    return null;
+  }
+  if (index < 16) {
+    return ansiThemeColor(index);
+  }
+  if (index >= 232) {
+    const level = 8 + (index - 232) * 10;
+    return `rgb(${level}, ${level}, ${level})`;
+  }
+  const cube = index - 16;
+  const channel = value => (value === 0 ? 0 : 55 + value * 40);
+  return `rgb(${channel(Math.floor(cube / 36))}, ${channel(Math.floor(cube / 6) % 6)}, ${channel(cube % 6)})`;
+}
+
+function formatAnsiStyle(style) {
+  const declarations = [];
+  const fg = style.inverse ? style.bg || 'var(--vscode-editor-background)' : style.fg;
+  const bg = style.inverse ? style.fg || 'var(--vscode-editor-foreground)' : style.bg;
+  if (fg) {
+    declarations.push(`color: ${fg}`);
+  }
+  if (bg) {
+    declarations.push(`background-color: ${bg}`);
+  }
+  if (style.bold) {
+    declarations.push('font-weight: bold');
+  }
+  if (style.dim) {
+    declarations.push('opacity: 0.7');
+  }
+  if (style.italic) {
+    declarations.push('font-style: italic');
+  }
+  const decorations = [style.underline && 'underline', style.strike && 'line-through'].filter(Boolean);
+  if (decorations.length) {
+    declarations.push(`text-decoration: ${decorations.join(' ')}`);
+  }
+  return declarations.join('; ');
+}
+
+function trimLogs() {
+  if (state.logs.length <= state.maxLogEntries) {
+    return;
   }
 
-  const uri = vscode.Uri.file(resolvedPath);
+  const overflow = state.logs.length - state.maxLogEntries;
+  for (const entry of state.logs.splice(0, overflow)) {
+    if (entry.clientId == null) {
+      continue;
+    }
+    const count = (state.clientEntryCounts.get(entry.clientId) || 0) - 1;
+    if (count > 0) {
+      state.clientEntryCounts.set(entry.clientId, count);
+    } else {
+      state.clientEntryCounts.delete(entry.clientId);
+      forgetClientInfo(entry.clientId);
+    }
+  }
+}
+
+// Disconnected clients are kept while any entry still refers to them (for exports and the process tree).
+function forgetClientInfo(clientId) {
+  if (!state.clients.has(clientId) && !state.clientEntryCounts.has(clientId)) {
+    state.clientInfo.delete(clientId);
+  }
+}
+
+function appendOutput(entry) {
+  if (!state.outputChannel || entry.kind === 'groupEnd') {
+    return;
+  }
+
+  const time = formatTimestamp(entry.timestamp);
+  const location = entry.file && entry.line ? ` ${shortenPath(entry.file)}:${entry.line}` : '';
+  const text = entry.text || formatFallbackText(entry);
+  state.outputChannel.appendLine(`[${time}] ${entry.level.toUpperCase()}${location} ${text}`);
+}
+
+function updateLineState(entry) {
+  if (!entry.resolvedPath) {
+    return;
+  }
+
+  const uri = vscode.Uri.file(entry.resolvedPath);
   const line = Math.max(0, (entry.line || 1) - 1);
 
   let lineState = state.lineStateByUri.get(uri.toString());
@@ -365,12 +1372,206 @@ function updateInlineForEntry(entry) {
 
   const existing = lineState.get(line);
   const count = existing ? existing.count + 1 : 1;
-  lineState.set(line, { entry, count });
+  const history = existing ? existing.history : [];
+  history.push(entry);
+  if (history.length > state.config.inlineHistorySize) {
+    history.splice(0, history.length - state.config.inlineHistorySize);
+  }
+  lineState.set(line, { entry, count, history });
+  if (state.inlineEnabled) {
+    scheduleInlineRefresh(uri.toString());
+  }
+  scheduleCodeLensRefresh();
+}
 
-  const editors = vscode.window.visibleTextEditors.filter(editor => editor.document.uri.toString() === uri.toString());
-  for (const editor of editors) {
-    refreshInlineForEditor(editor);
+function scheduleInlineRefresh(uriKey) {
+  state.pendingInlineUris.add(uriKey);
+  if (state.inlineRefreshTimer) {
+    return;
+  }
+
+  state.inlineRefreshTimer = setTimeout(() => {
+    state.inlineRefreshTimer = null;
+    const uris = state.pendingInlineUris;
+    state.pendingInlineUris = new Set();
+    for (const editor of vscode.window.visibleTextEditors) {
+      if (uris.has(editor.document.uri.toString())) {
+        refreshInlineForEditor(editor);
+      }
+    }
+  }, INLINE_REFRESH_DELAY_MS);
+}
+
+function reportDiagnostic(entry) {
+  const frames = (entry.frames || []).filter(frame => frame.resolvedPath && isWorkspaceFile(frame.resolvedPath));
+  let location = null;
+  if (entry.resolvedPath && isWorkspaceFile(entry.resolvedPath)) {
+    location = { file: entry.resolvedPath, line: entry.line || 1, column: entry.column || 1 };
+  } else if (frames.length) {
+    location = { file: frames[0].resolvedPath, line: frames[0].line, column: frames[0].column };
+  }
+  if (!location) {
+    return;
+  }
+
+  const uri = vscode.Uri.file(location.file);
+  const uriKey = uri.toString();
+  const message = (entry.text || formatFallbackText(entry) || 'Error').split('\n')[0];
+  const line = Math.max(0, location.line - 1);
+  const records = state.diagnosticsByUri.get(uriKey) || new Map();
+  const key = `${line}:${message}`;
+  const existing = records.get(key);
+  if (existing) {
+    existing.hits += 1;
+    existing.diagnostic.message = `${message} (×${existing.hits})`;
+  } else {
+    if (records.size >= MAX_DIAGNOSTICS_PER_FILE) {
+      return;
+    }
+    const position = new vscode.Position(line, Math.max(0, location.column - 1));
+    const diagnostic = new vscode.Diagnostic(new vscode.Range(position, position), message, vscode.DiagnosticSeverity.Error);
+    diagnostic.source = 'Console Samurai';
+    diagnostic.relatedInformation = frames.map(frame => new vscode.DiagnosticRelatedInformation(
+      new vscode.Location(vscode.Uri.file(frame.resolvedPath), new vscode.Position(Math.max(0, frame.line - 1), Math.max(0, frame.column - 1))),
+      frame.text
+    ));
+    records.set(key, { diagnostic, hits: 1 });
+  }
+
+  state.diagnosticsByUri.set(uriKey, records);
+  state.diagnostics.set(uri, Array.from(records.values(), record => record.diagnostic));
+}
+
+function isWorkspaceFile(filePath) {
+  if (filePath.split(path.sep).includes('node_modules')) {
+    return false;
+  }
+  const folders = vscode.workspace.workspaceFolders || [];
+  return folders.some(folder => {
+    const root = folder.uri.fsPath;
+    return filePath === root || filePath.startsWith(root + path.sep);
+  });
+}
+
+function clearDiagnosticsFor(uri) {
+  if (state.diagnosticsByUri.delete(uri.toString())) {
+    state.diagnostics.delete(uri);
+  }
+}
+
+function clearDiagnostics() {
+  state.diagnosticsByUri.clear();
+  if (state.diagnostics) {
+    state.diagnostics.clear();
+  }
+}
+
+function scheduleCodeLensRefresh() {
+  if (!state.codeLensTimer) {
+    state.codeLensTimer = setTimeout(refreshCodeLenses, CODE_LENS_REFRESH_MS);
+  }
+}
+
+function refreshCodeLenses() {
+  if (state.codeLensTimer) {
+    clearTimeout(state.codeLensTimer);
+    state.codeLensTimer = null;
+  }
+  if (state.codeLensEmitter) {
+    state.codeLensEmitter.fire();
+  }
+}
+
+function buildCodeLenses(document) {
+  if (!state.config.codeLensEnabled) {
+    return [];
+  }
+
+  const uriKey = document.uri.toString();
+  const lineState = state.lineStateByUri.get(uriKey);
+  const text = document.getText();
+  const lenses = [];
+  const seenLines = new Set();
+
+  CONSOLE_CALL_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = CONSOLE_CALL_PATTERN.exec(text))) {
+    const position = document.positionAt(match.index);
+    const line = position.line;
+    if (seenLines.has(line) || isLineComment(document, position)) {
+      continue;
+    }
+    seenLines.add(line);
+
+    const range = new vscode.Range(line, 0, line, 0);
+    const data = lineState && lineState.get(line);
+    if (!data) {
+      // Calls that never ran stay marked so dead code paths stand out.
+      lenses.push(new vscode.CodeLens(range, {
+        title: 'Console Samurai: no hits this session',
+        tooltip: 'No entries from this line have been received',
+        command: ''
+      }));
+      continue;
+    }
+    lenses.push(new vscode.CodeLens(range, {
+      title: formatLineHits(data),
+      tooltip: 'Show the entries from this line in the log viewer',
+      command: 'consoleSamurai.showLineInViewer',
+      arguments: [uriKey, line]
+    }));
+    lenses.push(new vscode.CodeLens(range, {
+      title: 'Clear',
+      tooltip: 'Reset the hit count and inline output for this line',
+      command: 'consoleSamurai.clearLineHits',
+      arguments: [uriKey, line]
+    }));
+  }
+  return lenses;
+}
+
+function isLineComment(document, position) {
+  const before = document.lineAt(position.line).text.slice(0, position.character).trimStart();
+  return before.startsWith('//') || before.startsWith('*');
+}
+
+function formatLineHits(data) {
+  const hits = `Console Samurai: ${data.count} hit${data.count === 1 ? '' : 's'}`;
+  const rate = formatHitRate(data.history);
+  return rate ? `${hits} · ${rate}` : hits;
+}
+
+function formatHitRate(history) {
+  const latest = history[history.length - 1].timestamp;
+  const recent = history.filter(entry => entry.timestamp >= latest - HIT_RATE_WINDOW_MS);
+  if (recent.length < 2) {
+    return null;
+  }
+  const seconds = Math.max((latest - recent[0].timestamp) / 1000, 0.001);
+  const perSecond = (recent.length - 1) / seconds;
+  return perSecond >= 1 ? `${perSecond.toFixed(1)}/s` : `${(perSecond * 60).toFixed(1)}/min`;
+}
+
+function showLineInViewer(uriKey, line) {
+  const filePath = vscode.Uri.parse(uriKey).fsPath;
+  showOutput();
+  state.webviewPanel.webview.postMessage({
+    type: 'scope',
+    scope: { label: `${shortenPath(filePath)}:${line + 1}`, match: { resolvedPath: filePath, line: line + 1 } }
+  });
+}
+
+function clearLineHits(uriKey, line) {
+  const lineState = state.lineStateByUri.get(uriKey);
+  if (!lineState || !lineState.delete(line)) {
+    return;
+  }
+  for (const editor of vscode.window.visibleTextEditors) {
+    if (editor.document.uri.toString() === uriKey) {
+      refreshInlineForEditor(editor);
+    }
   }
+  refreshCodeLenses();
 }
 
 function refreshInlineAll() {
@@ -413,7 +1614,6 @@ function refreshInlineForEditor(editor) {
     const end = lineText.range.end;
     const range = new vscode.Range(end, end);
     const contentText = formatInlineText(entry, data.count);
-    const hoverMessage = buildHover(entry);
 
     const list = decorationsByLevel.get(entry.level);
     list.push({
@@ -422,8 +1622,7 @@ function refreshInlineForEditor(editor) {
         after: {
           contentText
         }
-      },
-      hoverMessage
+      }
     });
   }
 
@@ -432,6 +1631,20 @@ function refreshInlineForEditor(editor) {
   }
 }
 
+// Hovers are built on demand; the inline text sits after the end of the line.
+function provideInlineHover(document, position) {
+  const lineState = state.lineStateByUri.get(document.uri.toString());
+  const data = lineState && lineState.get(position.line);
+  if (!state.inlineEnabled || !data || !data.entry || !state.config.enabledLevels.includes(data.entry.level)) {
+    return null;
+  }
+  const end = document.lineAt(position.line).range.end;
+  if (position.character < end.character) {
+    return null;
+  }
+  return new vscode.Hover(buildHover(data.entry, data.history), new vscode.Range(end, end));
+}
+
 function formatInlineText(entry, count) {
   const maxLen = state.config.inlineMaxTextLength;
   let prefix = '';
@@ -445,14 +1658,15 @@ function formatInlineText(entry, count) {
   }
 
   let suffix = '';
-  if (count > 1) {
+  // console.count already carries its own running total.
+  if (count > 1 && entry.kind !== 'count') {
     suffix = ` (+${count - 1})`;
   }
 
   return ` ${prefix}${text}${suffix}`;
 }
 
-function buildHover(entry) {
+function buildHover(entry, history) {
   const md = new vscode.MarkdownString();
   md.isTrusted = true;
 
@@ -465,15 +1679,33 @@ function buildHover(entry) {
     md.appendMarkdown(`Location: ${escapeMarkdown(shortenPath(entry.file))}:${entry.line}`);
   }
 
+  if (entry.generated) {
+    md.appendMarkdown(`  \n`);
+    md.appendMarkdown(`Generated: ${escapeMarkdown(entry.generated.file)}:${entry.generated.line}:${entry.generated.column}`);
+  }
+
   if (entry.text) {
     md.appendMarkdown(`  \n`);
     md.appendMarkdown(`Message: ${escapeMarkdown(entry.text)}`);
   }
 
+  if (entry.values && entry.values.some(value => value !== null && typeof value === 'object')) {
+    const lines = entry.values.map(value => formatValueText(value, '', false)).join('\n').split('\n');
+    const shown = lines.length > HOVER_VALUE_LINES ? lines.slice(0, HOVER_VALUE_LINES).concat('…') : lines;
+    md.appendMarkdown('  \n');
+    md.appendMarkdown('Values:');
+    md.appendCodeblock(shown.join('\n'), 'javascript');
+  }
+
   if (entry.kind === 'network') {
     const networkText = `${entry.method || 'GET'} ${entry.url || ''} ${entry.status || ''} ${entry.durationMs || ''}ms`;
     md.appendMarkdown(`  \n`);
     md.appendMarkdown(`Network: ${escapeMarkdown(networkText.trim())}`);
+    if (entry.response && entry.response.contentType) {
+      const size = Number.isFinite(entry.response.size) ? `, ${entry.response.size} bytes` : '';
+      md.appendMarkdown(`  \n`);
+      md.appendMarkdown(`Response: ${escapeMarkdown(entry.response.contentType)}${size}`);
+    }
   }
 
   if (entry.kind === 'time') {
@@ -482,7 +1714,11 @@ function buildHover(entry) {
     md.appendMarkdown(`Timer: ${escapeMarkdown(timeText.trim())}`);
   }
 
-  if (entry.stack) {
+  if (entry.frames && entry.frames.length) {
+    md.appendMarkdown('  \n');
+    md.appendMarkdown('Stack:');
+    appendStackFrames(md, entry.frames);
+  } else if (entry.stack) {
     md.appendMarkdown('  \n');
     md.appendMarkdown('Stack:');
     md.appendMarkdown('  \n');
@@ -491,6 +1727,10 @@ function buildHover(entry) {
     md.appendMarkdown('\n```');
   }
 
+  if (history && history.length > 1) {
+    appendHistory(md, history);
+  }
+
   const showOutputCmd = `command:consoleSamurai.showOutput`;
   const settingsArg = encodeURIComponent(JSON.stringify('console-samurai'));
   const openSettingsCmd = `command:workbench.action.openSettings?${settingsArg}`;
@@ -500,6 +1740,135 @@ function buildHover(entry) {
   return md;
 }
 
+function appendStackFrames(md, frames) {
+  const lines = [];
+  let hidden = 0;
+  const flushHidden = () => {
+    if (hidden) {
+      lines.push(`- _… ${hidden} internal frame${hidden === 1 ? '' : 's'}_`);
+      hidden = 0;
+    }
+  };
+
+  for (const frame of frames) {
+    if (frame.internal) {
+      hidden += 1;
+      continue;
+    }
+    flushHidden();
+    if (!frame.resolvedPath) {
+      lines.push(`- _${escapeMarkdown(frame.text)}_`);
+      continue;
+    }
+    const args = encodeURIComponent(JSON.stringify([frame.resolvedPath, frame.line, frame.column]));
+    const label = `${frame.functionName || '<anonymous>'} ${shortenPath(frame.resolvedPath)}:${frame.line}:${frame.column}`;
+    lines.push(`- [${escapeMarkdown(label)}](command:consoleSamurai.openLocation?${args})`);
+  }
+  flushHidden();
+
+  md.appendMarkdown('\n\n');
+  md.appendMarkdown(lines.join('\n'));
+  md.appendMarkdown('\n\n');
+}
+
+function appendHistory(md, history) {
+  const sparkline = buildSparkline(history);
+  if (sparkline) {
+    md.appendMarkdown('  \n');
+    md.appendMarkdown(`Trend: \`${sparkline.chart}\` min ${sparkline.min}, max ${sparkline.max}, last ${sparkline.last}`);
+  }
+
+  const recent = history.slice(-HOVER_HISTORY_LIMIT);
+  const lines = [];
+  for (let i = recent.length - 1; i >= 0; i -= 1) {
+    const entry = recent[i];
+    lines.push(`${formatTimestamp(entry.timestamp)}  ${entry.text || formatFallbackText(entry)}`);
+    const previous = i > 0 ? recent[i - 1] : history[history.length - recent.length - 1];
+    if (previous) {
+      for (const change of diffValues(previous.values, entry.values)) {
+        lines.push(`              ${change}`);
+      }
+    }
+  }
+
+  md.appendMarkdown('  \n');
+  md.appendMarkdown(`History (last ${recent.length} of ${history.length} kept):`);
+  md.appendCodeblock(lines.join('\n'), 'text');
+}
+
+function diffValues(previous, next) {
+  const before = flattenValue(previous || [], '', new Map());
+  const after = flattenValue(next || [], '', new Map());
+  const changes = [];
+  for (const [key, value] of after.entries()) {
+    if (!before.has(key)) {
+      changes.push(`+ ${key}: ${value}`);
+    } else if (before.get(key) !== value) {
+      changes.push(`~ ${key}: ${before.get(key)} → ${value}`);
+    }
+  }
+  for (const key of before.keys()) {
+    if (!after.has(key)) {
+      changes.push(`- ${key}`);
+    }
+  }
+  if (changes.length > HOVER_DIFF_LIMIT) {
+    const hidden = changes.length - HOVER_DIFF_LIMIT;
+    return changes.slice(0, HOVER_DIFF_LIMIT).concat(`… ${hidden} more change${hidden === 1 ? '' : 's'}`);
+  }
+  return changes;
+}
+
+function flattenValue(value, prefix, result) {
+  if (value && value.__type === 'object') {
+    // Class instances diff field by field, like plain objects.
+    return flattenValue(value.props, prefix, result);
+  }
+  if (value && typeof value === 'object' && !value.__type) {
+    const keys = Object.keys(value);
+    if (!keys.length) {
+      result.set(prefix || '(root)', Array.isArray(value) ? '[]' : '{}');
+    }
+    for (const key of keys) {
+      const segment = Array.isArray(value) ? `[${key}]` : (prefix ? `.${key}` : key);
+      flattenValue(value[key], prefix + segment, result);
+    }
+    return result;
+  }
+  result.set(prefix || '(root)', stringifyValue(value));
+  return result;
+}
+
+function buildSparkline(history) {
+  // Follow the last numeric argument of the latest hit, e.g. console.log('latency', ms).
+  const latest = history[history.length - 1].values || [];
+  let index = -1;
+  latest.forEach((value, i) => {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      index = i;
+    }
+  });
+  if (index === -1) {
+    return null;
+  }
+
+  const series = history
+    .map(entry => (entry.values || [])[index])
+    .filter(value => typeof value === 'number' && Number.isFinite(value));
+  if (series.length < 2) {
+    return null;
+  }
+
+  const min = Math.min(...series);
+  const max = Math.max(...series);
+  const range = max - min;
+  const chart = series.map(value => {
+    const level = range === 0 ? 0 : Math.round(((value - min) / range) * (SPARKLINE_CHARS.length - 1));
+    return SPARKLINE_CHARS[level];
+  }).join('');
+  return { chart, min, max, last: series[series.length - 1] };
+}
+
 function formatFallbackText(entry) {
   if (entry.kind === 'network') {
     return `${entry.method || 'GET'} ${entry.url || ''} ${entry.status || ''} ${entry.durationMs || ''}ms`.trim();
@@ -518,7 +1887,10 @@ function stringifyValue(value) {
     return String(value);
   }
   if (typeof value === 'string') {
-    return value;
+    return stripAnsi(value);
+  }
+  if (typeof value === 'object' && typeof value.__type === 'string') {
+    return formatValueText(value, null, true);
   }
   try {
     return JSON.stringify(value);
@@ -534,6 +1906,10 @@ function sanitizeLevel(level) {
   return 'log';
 }
 
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 function escapeMarkdown(text) {
   if (!text) {
     return '';
@@ -561,12 +1937,79 @@ function shortenPath(filePath) {
   return filePath;
 }
 
-function resolveEntryPath(entry) {
+function parseStackFrames(stack, foreign) {
+  const frames = [];
+  for (const raw of stack.split('\n')) {
+    const text = raw.trim();
+    // V8 frames start with "at "; Firefox and Safari frames look like "fn@url:line:column".
+    const v8Frame = text.startsWith('at ');
+    if (!v8Frame && !/^[^\s(]*@\S+:\d+:\d+$/.test(text)) {
+      continue;
+    }
+
+    STACK_LOCATION_PATTERN.lastIndex = 0;
+    const match = STACK_LOCATION_PATTERN.exec(text);
+    const frame = {
+      text,
+      functionName: parseFrameFunction(text, v8Frame),
+      file: match ? match[1] : null,
+      line: match ? Number(match[2]) : null,
+      column: match ? Number(match[3]) : null,
+      resolvedPath: match ? resolveFrameFile(match[1], foreign) : null
+    };
+    frame.internal = isInternalFrame(frame);
+    frames.push(frame);
+    if (frames.length >= MAX_STACK_FRAMES) {
+      break;
+    }
+  }
+  return frames;
+}
+
+function parseFrameFunction(text, v8Frame) {
+  if (v8Frame) {
+    const match = text.match(/^at (?:async )?(.+?) \(/);
+    return match ? match[1] : null;
+  }
+  const name = text.slice(0, text.indexOf('@'));
+  return name || null;
+}
+
+function resolveFrameFile(file, foreign) {
+  const key = foreign ? `foreign:${file}` : file;
+  const now = Date.now();
+  const cached = state.resolvedFrameFiles.get(key);
+  // Misses are retried after a while: the file may be created or a mapping added later.
+  if (cached && (cached.path || now - cached.checkedAt < FRAME_FILE_MISS_TTL_MS)) {
+    return cached.path;
+  }
+  if (state.resolvedFrameFiles.size >= MAX_RESOLVED_FRAME_FILES) {
+    state.resolvedFrameFiles.clear();
+  }
+  const resolved = resolveFilePath(file, foreign);
+  state.resolvedFrameFiles.set(key, { path: resolved, checkedAt: now });
+  return resolved;
+}
+
+function isInternalFrame(frame) {
+  if (/\((?:node:|native\)|<anonymous>\))|^at node:/.test(frame.text)) {
+    return true;
+  }
+  return Boolean(frame.file) && (/[\\/]node_modules[\\/]/.test(frame.file) || CLIENT_SCRIPT_PATTERN.test(frame.file));
+}
+
+function resolveEntryPath(entry, foreign) {
   if (!entry.file) {
     return null;
   }
+  return resolveFilePath(entry.file, foreign);
+}
 
-  const raw = entry.file;
+// foreign allows guessing for paths recorded on another machine (imported logs only).
+function resolveFilePath(raw, foreign) {
+  if (!raw) {
+    return null;
+  }
 
   if (raw.startsWith('file://')) {
     try {
@@ -600,18 +2043,39 @@ function resolveEntryPath(entry) {
     }
   }
 
+  if (foreign && (path.isAbsolute(raw) || /^[a-zA-Z]:[\\/]/.test(raw))) {
+    return findWorkspaceSuffix(raw);
+  }
+
   return null;
 }
 
-function mapUrlToPath(urlString) {
-  const mappings = state.config.pathMappings || [];
-  for (const mapping of mappings) {
-    if (!mapping || !mapping.urlPrefix || !mapping.localPathPrefix) {
-      continue;
-    }
-    if (urlString.startsWith(mapping.urlPrefix)) {
-      let replaced = urlString.replace(mapping.urlPrefix, mapping.localPathPrefix);
-      if (!path.isAbsolute(replaced)) {
+function findWorkspaceSuffix(foreignPath) {
+  // Paths recorded on another machine: match the longest trailing part that exists here.
+  const segments = foreignPath.split(/[\\/]+/).filter(Boolean);
+  const folders = vscode.workspace.workspaceFolders || [];
+  const minSegments = Math.min(2, segments.length);
+  for (let start = 1; start <= segments.length - minSegments; start += 1) {
+    const relative = segments.slice(start).join(path.sep);
+    for (const folder of folders) {
+      const candidate = path.join(folder.uri.fsPath, relative);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+function mapUrlToPath(urlString) {
+  const mappings = state.config.pathMappings || [];
+  for (const mapping of mappings) {
+    if (!mapping || !mapping.urlPrefix || !mapping.localPathPrefix) {
+      continue;
+    }
+    if (urlString.startsWith(mapping.urlPrefix)) {
+      let replaced = urlString.replace(mapping.urlPrefix, mapping.localPathPrefix);
+      if (!path.isAbsolute(replaced)) {
         const folders = vscode.workspace.workspaceFolders || [];
         for (const folder of folders) {
           const candidate = path.join(folder.uri.fsPath, replaced);
@@ -625,125 +2089,1917 @@ function mapUrlToPath(urlString) {
     }
   }
 
-  let url;
-  try {
-    url = new URL(urlString);
-  } catch (err) {
-    return null;
+  let url;
+  try {
+    url = new URL(urlString);
+  } catch (err) {
+    return null;
+  }
+
+  const urlPath = decodeURIComponent(url.pathname || '');
+  if (!urlPath) {
+    return null;
+  }
+  const normalizedPath = urlPath.startsWith('/') ? urlPath.slice(1) : urlPath;
+
+  const folders = vscode.workspace.workspaceFolders || [];
+  for (const folder of folders) {
+    const candidate = path.join(folder.uri.fsPath, normalizedPath);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+function applySourceMaps(entry) {
+  if (!state.config.sourceMapsEnabled) {
+    return;
+  }
+
+  if (entry.file && entry.line) {
+    const original = mapLocation(entry.file, entry.line, entry.column);
+    if (original) {
+      entry.generated = { file: entry.file, line: entry.line, column: entry.column };
+      entry.file = original.file;
+      entry.line = original.line;
+      entry.column = original.column;
+    }
+  }
+
+  if (entry.stack) {
+    entry.stack = mapStackTrace(entry.stack);
+  }
+}
+
+function mapStackTrace(stack) {
+  return stack.replace(STACK_LOCATION_PATTERN, (match, file, line, column) => {
+    const original = mapLocation(file, Number(line), Number(column));
+    return original ? `${original.file}:${original.line}:${original.column}` : match;
+  });
+}
+
+function mapLocation(file, line, column) {
+  const map = loadSourceMapFor(file);
+  if (!map) {
+    return null;
+  }
+
+  const position = findOriginalPosition(map, line - 1, Math.max(0, (column || 1) - 1));
+  if (!position) {
+    return null;
+  }
+
+  const sourcePath = resolveMappedSource(map, position.sourceIndex);
+  if (!sourcePath) {
+    return null;
+  }
+
+  return {
+    file: sourcePath,
+    line: position.line + 1,
+    column: position.column + 1
+  };
+}
+
+function loadSourceMapFor(file) {
+  // Dev servers add cache busters such as ?t= on every reload; they all share one map.
+  const key = file.replace(/[?#].*$/, '');
+  const cached = state.sourceMaps.get(key);
+  if (cached) {
+    state.sourceMaps.delete(key);
+    state.sourceMaps.set(key, cached);
+    if (Date.now() - cached.checkedAt >= SOURCE_MAP_RECHECK_MS) {
+      recheckSourceMap(key, cached);
+    }
+    return cached.map;
+  }
+
+  // Only the first lookup for a script reads synchronously; rechecks run in the background.
+  const scriptPath = resolveFilePath(key);
+  let mtimeMs = null;
+  if (scriptPath) {
+    try {
+      mtimeMs = fs.statSync(scriptPath).mtimeMs;
+    } catch (err) {
+      mtimeMs = null;
+    }
+  }
+
+  const map = readSourceMap(key, scriptPath);
+  storeSourceMap(key, { scriptPath, mtimeMs, checkedAt: Date.now(), checking: false, map });
+  return map;
+}
+
+function storeSourceMap(key, record) {
+  state.sourceMaps.delete(key);
+  if (state.sourceMaps.size >= MAX_SOURCE_MAPS) {
+    state.sourceMaps.delete(state.sourceMaps.keys().next().value);
+  }
+  state.sourceMaps.set(key, record);
+}
+
+function recheckSourceMap(key, cached) {
+  if (cached.checking) {
+    return;
+  }
+  cached.checking = true;
+
+  const scriptPath = resolveFilePath(key);
+  const finish = mtimeMs => {
+    cached.checking = false;
+    cached.checkedAt = Date.now();
+    if (state.sourceMaps.get(key) !== cached) {
+      return;
+    }
+    if (cached.scriptPath === scriptPath && cached.mtimeMs === mtimeMs) {
+      return;
+    }
+    // The script changed; the next lookup reads the new map.
+    state.sourceMaps.delete(key);
+  };
+
+  if (!scriptPath) {
+    finish(null);
+    return;
+  }
+  fs.stat(scriptPath, (err, stats) => finish(err ? null : stats.mtimeMs));
+}
+
+function readSourceMap(file, scriptPath) {
+  const candidates = [];
+
+  if (scriptPath) {
+    const reference = readSourceMappingUrl(scriptPath);
+    if (reference && reference.startsWith('data:')) {
+      const inlineMap = parseSourceMap(decodeDataUrl(reference), path.dirname(scriptPath));
+      if (inlineMap) {
+        return inlineMap;
+      }
+    } else if (reference) {
+      candidates.push(resolveMapReference(reference, scriptPath));
+    }
+    candidates.push(`${scriptPath}.map`);
+  }
+
+  if (URL_SCHEME_PATTERN.test(file) && !file.startsWith('file://')) {
+    candidates.push(mapUrlToPath(`${file.replace(/[?#].*$/, '')}.map`));
+  }
+
+  for (const candidate of candidates) {
+    if (!candidate) {
+      continue;
+    }
+    try {
+      const map = parseSourceMap(fs.readFileSync(candidate, 'utf8'), path.dirname(candidate));
+      if (map) {
+        return map;
+      }
+    } catch (err) {
+      // Try the next candidate.
+    }
+  }
+
+  return null;
+}
+
+function readSourceMappingUrl(scriptPath) {
+  let content;
+  try {
+    content = fs.readFileSync(scriptPath, 'utf8');
+  } catch (err) {
+    return null;
+  }
+
+  const pattern = /\/[\/*][#@]\s*sourceMappingURL=([^\s'"*]+)/g;
+  let reference = null;
+  let match;
+  while ((match = pattern.exec(content))) {
+    reference = match[1];
+  }
+  return reference;
+}
+
+function resolveMapReference(reference, scriptPath) {
+  if (reference.startsWith('file://')) {
+    try {
+      return vscode.Uri.parse(reference).fsPath;
+    } catch (err) {
+      return null;
+    }
+  }
+  if (URL_SCHEME_PATTERN.test(reference)) {
+    return mapUrlToPath(reference);
+  }
+
+  let relative = reference.replace(/[?#].*$/, '');
+  try {
+    relative = decodeURIComponent(relative);
+  } catch (err) {
+    // Keep the raw reference.
+  }
+  return path.resolve(path.dirname(scriptPath), relative);
+}
+
+function decodeDataUrl(dataUrl) {
+  const commaIndex = dataUrl.indexOf(',');
+  if (commaIndex < 0) {
+    return '';
+  }
+  const header = dataUrl.slice(0, commaIndex);
+  const body = dataUrl.slice(commaIndex + 1);
+  if (header.includes(';base64')) {
+    return Buffer.from(body, 'base64').toString('utf8');
+  }
+  try {
+    return decodeURIComponent(body);
+  } catch (err) {
+    return body;
+  }
+}
+
+function parseSourceMap(raw, mapDir) {
+  let json;
+  try {
+    json = JSON.parse(raw.replace(/^\)\]\}'[^\n]*\n/, ''));
+  } catch (err) {
+    return null;
+  }
+
+  if (!json || !Array.isArray(json.sources) || typeof json.mappings !== 'string') {
+    return null;
+  }
+
+  return {
+    sources: json.sources,
+    sourceRoot: typeof json.sourceRoot === 'string' ? json.sourceRoot : '',
+    mappings: json.mappings,
+    lines: null,
+    mapDir,
+    resolvedSources: new Map()
+  };
+}
+
+function findOriginalPosition(map, line, column) {
+  if (!map.lines) {
+    map.lines = decodeMappings(map.mappings);
+  }
+
+  const segments = map.lines[line];
+  if (!segments || !segments.length) {
+    return null;
+  }
+
+  let low = 0;
+  let high = segments.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (segments[mid][0] <= column) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  if (found < 0) {
+    // The column comes before the first mapping on this line.
+    return null;
+  }
+
+  const segment = segments[found];
+  if (segment.length < 4) {
+    return null;
+  }
+
+  return {
+    sourceIndex: segment[1],
+    line: segment[2],
+    column: segment[3]
+  };
+}
+
+function decodeMappings(mappings) {
+  const lines = [];
+  let sourceIndex = 0;
+  let originalLine = 0;
+  let originalColumn = 0;
+
+  for (const lineText of mappings.split(';')) {
+    const segments = [];
+    let generatedColumn = 0;
+
+    for (const segmentText of lineText.split(',')) {
+      if (!segmentText) {
+        continue;
+      }
+      const values = decodeVlq(segmentText);
+      if (!values.length) {
+        continue;
+      }
+      generatedColumn += values[0];
+      if (values.length >= 4) {
+        sourceIndex += values[1];
+        originalLine += values[2];
+        originalColumn += values[3];
+        segments.push([generatedColumn, sourceIndex, originalLine, originalColumn]);
+      } else {
+        segments.push([generatedColumn]);
+      }
+    }
+
+    segments.sort((a, b) => a[0] - b[0]);
+    lines.push(segments);
+  }
+
+  return lines;
+}
+
+function decodeVlq(text) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+
+  for (const char of text) {
+    const digit = BASE64_VALUES.get(char);
+    if (digit === undefined) {
+      return [];
+    }
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      const negative = value & 1;
+      value >>>= 1;
+      values.push(negative ? -value : value);
+      value = 0;
+      shift = 0;
+    }
+  }
+
+  return values;
+}
+
+function resolveMappedSource(map, sourceIndex) {
+  if (map.resolvedSources.has(sourceIndex)) {
+    return map.resolvedSources.get(sourceIndex);
+  }
+
+  const source = map.sources[sourceIndex];
+  const resolved = typeof source === 'string' ? locateSource(source, map.sourceRoot, map.mapDir) : null;
+  map.resolvedSources.set(sourceIndex, resolved);
+  return resolved;
+}
+
+function locateSource(source, sourceRoot, mapDir) {
+  let raw = source;
+  if (sourceRoot && !URL_SCHEME_PATTERN.test(raw) && !path.isAbsolute(raw)) {
+    raw = sourceRoot.endsWith('/') ? `${sourceRoot}${raw}` : `${sourceRoot}/${raw}`;
+  }
+
+  if (URL_SCHEME_PATTERN.test(raw)) {
+    return resolveFilePath(raw);
+  }
+
+  if (path.isAbsolute(raw)) {
+    return fs.existsSync(raw) ? raw : null;
+  }
+
+  const candidate = path.resolve(mapDir, raw);
+  if (fs.existsSync(candidate)) {
+    return candidate;
+  }
+
+  return resolveFilePath(raw.replace(/^(\.\/)+/, ''));
+}
+
+function showOutput() {
+  if (state.webviewPanel) {
+    state.webviewPanel.reveal(vscode.ViewColumn.Beside, true);
+    updateWebview();
+    return;
+  }
+
+  const panel = createViewerPanel('consoleSamuraiOutput', 'Console Samurai Output', message => {
+    if (message.type === 'clear') {
+      clearLogs();
+      return;
+    }
+
+    if (message.type === 'open' && message.entryId) {
+      openEntry(message.entryId);
+      return;
+    }
+
+    if (message.type === 'export') {
+      exportLogs(selectEntries(state.logs, message.entryIds), state.clientInfo);
+      return;
+    }
+
+    if (message.type === 'inspect') {
+      inspectValue(message.entryId, message.handle, message.requestId);
+      return;
+    }
+  });
+
+  panel.onDidDispose(() => {
+    state.webviewPanel = null;
+  });
+
+  state.webviewPanel = panel;
+  initWebview();
+}
+
+function createViewerPanel(viewType, title, onMessage) {
+  const panel = vscode.window.createWebviewPanel(
+    viewType,
+    title,
+    vscode.ViewColumn.Beside,
+    {
+      enableScripts: true,
+      retainContextWhenHidden: true
+    }
+  );
+
+  panel.webview.html = getWebviewHtml(panel.webview, title);
+
+  panel.webview.onDidReceiveMessage(message => {
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+
+    if (message.type === 'openSettings') {
+      vscode.commands.executeCommand('workbench.action.openSettings', 'console-samurai');
+      return;
+    }
+
+    if (message.type === 'openLocation') {
+      openLocation(message.file, message.line, message.column);
+      return;
+    }
+
+    onMessage(message);
+  });
+
+  return panel;
+}
+
+// The viewer keeps its own copy of the log. New entries are queued and sent as one append
+// per WEBVIEW_FLUSH_MS together with the id of the oldest entry still kept, so the viewer
+// can drop what trimLogs removed. Everything else only sends the status fields.
+function updateWebview(newEntries) {
+  if (!state.webviewPanel) {
+    return;
+  }
+
+  if (newEntries) {
+    for (const entry of newEntries) {
+      state.webviewQueue.push(entry);
+    }
+    if (!state.webviewFlushTimer) {
+      state.webviewFlushTimer = setTimeout(flushWebview, WEBVIEW_FLUSH_MS);
+    }
+    return;
+  }
+
+  state.webviewPanel.webview.postMessage(Object.assign({ type: 'status' }, getWebviewStatus()));
+}
+
+function flushWebview() {
+  clearTimeout(state.webviewFlushTimer);
+  state.webviewFlushTimer = null;
+  const trimBefore = state.logs.length ? state.logs[0].id : state.logSeq + 1;
+  // Entries trimmed while they were queued never reach the viewer.
+  const entries = state.webviewQueue.filter(entry => entry.id >= trimBefore);
+  state.webviewQueue = [];
+  if (state.webviewPanel) {
+    state.webviewPanel.webview.postMessage({ type: 'append', entries, trimBefore });
+  }
+}
+
+function initWebview() {
+  clearTimeout(state.webviewFlushTimer);
+  state.webviewFlushTimer = null;
+  state.webviewQueue = [];
+  if (state.webviewPanel) {
+    state.webviewPanel.webview.postMessage(Object.assign({ type: 'init', logs: state.logs }, getWebviewStatus()));
+  }
+}
+
+function getWebviewStatus() {
+  return {
+    enabledLevels: state.config.enabledLevels,
+    clientCount: state.clients.size,
+    processes: buildProcessList(state.clientInfo),
+    server: state.server ? `${state.serverHost}:${state.serverPort}` : 'stopped'
+  };
+}
+
+function openEntry(entryId) {
+  const entry = state.logs.find(item => item.id === entryId);
+  if (!entry) {
+    return;
+  }
+  revealEntry(entry);
+}
+
+function revealEntry(entry) {
+  const resolvedPath = entry.resolvedPath || resolveEntryPath(entry);
+  if (!resolvedPath) {
+    vscode.window.showWarningMessage('Console Samurai could not resolve the source file for this log entry.');
+    return;
+  }
+  openLocation(resolvedPath, entry.line, entry.column);
+}
+
+function openLocation(filePath, lineNumber, columnNumber) {
+  if (typeof filePath !== 'string' || !filePath) {
+    return;
+  }
+
+  const uri = vscode.Uri.file(filePath);
+  vscode.workspace.openTextDocument(uri).then(doc => {
+    vscode.window.showTextDocument(doc).then(editor => {
+      const line = Math.max(0, (lineNumber || 1) - 1);
+      const column = Math.max(0, (columnNumber || 1) - 1);
+      const position = new vscode.Position(line, column);
+      editor.revealRange(new vscode.Range(position, position), vscode.TextEditorRevealType.InCenter);
+      editor.selection = new vscode.Selection(position, position);
+    });
+  });
+}
+
+function clearLogs() {
+  state.logs = [];
+  state.clientEntryCounts.clear();
+  state.lineStateByUri.clear();
+  for (const clientId of Array.from(state.clientInfo.keys())) {
+    forgetClientInfo(clientId);
+  }
+  state.outputChannel.clear();
+  clearDiagnostics();
+  refreshInlineAll();
+  refreshCodeLenses();
+  initWebview();
+}
+
+function getSessionsRoot() {
+  const context = state.extensionContext;
+  if (!context) {
+    return null;
+  }
+  const storageUri = context.storageUri || context.globalStorageUri;
+  return storageUri ? path.join(storageUri.fsPath, 'sessions') : null;
+}
+
+function beginSession() {
+  if (state.session || !state.config.sessionsEnabled) {
+    return;
+  }
+
+  const root = getSessionsRoot();
+  if (!root) {
+    return;
+  }
+
+  const startedAt = Date.now();
+  const id = `${new Date(startedAt).toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(2).toString('hex')}`;
+  const dir = path.join(root, id);
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+  } catch (err) {
+    vscode.window.showWarningMessage(`Console Samurai could not create a session folder: ${err.message}`);
+    return;
+  }
+
+  state.session = {
+    id,
+    dir,
+    stream: null,
+    partIndex: 0,
+    partBytes: 0,
+    meta: {
+      id,
+      startedAt,
+      endedAt: null,
+      host: state.serverHost,
+      port: state.serverPort,
+      workspace: (vscode.workspace.workspaceFolders || []).map(folder => folder.name),
+      entryCount: 0,
+      clients: {}
+    }
+  };
+
+  writeSessionMeta(state.session);
+  openSessionPart(state.session);
+  pruneSessions(root, id);
+}
+
+function endSession() {
+  const session = state.session;
+  if (!session) {
+    return;
+  }
+  state.session = null;
+
+  if (session.stream) {
+    session.stream.end();
+    session.stream = null;
+  }
+  session.meta.endedAt = Date.now();
+  writeSessionMeta(session);
+}
+
+function writeSessionMeta(session) {
+  try {
+    fs.writeFileSync(path.join(session.dir, SESSION_META_FILE), JSON.stringify(session.meta, null, 2));
+  } catch (err) {
+    // The log parts are still readable without metadata.
+  }
+}
+
+function openSessionPart(session) {
+  const fileName = `log-${String(session.partIndex).padStart(3, '0')}.ndjson`;
+  session.partBytes = 0;
+  session.stream = fs.createWriteStream(path.join(session.dir, fileName), { flags: 'a' });
+  session.stream.on('error', err => {
+    if (state.session === session) {
+      state.session = null;
+      vscode.window.showWarningMessage(`Console Samurai stopped recording the session: ${err.message}`);
+    }
+  });
+
+  const maxFiles = Math.max(1, state.config.sessionsMaxFilesPerSession);
+  const staleIndex = session.partIndex - maxFiles;
+  if (staleIndex >= 0) {
+    const staleName = `log-${String(staleIndex).padStart(3, '0')}.ndjson`;
+    fs.rm(path.join(session.dir, staleName), { force: true }, () => {});
+  }
+}
+
+function recordSessionLine(record) {
+  const session = state.session;
+  if (!session || !session.stream) {
+    return;
+  }
+
+  let line;
+  try {
+    line = `${JSON.stringify(record)}\n`;
+  } catch (err) {
+    return;
+  }
+
+  const bytes = Buffer.byteLength(line);
+  const maxBytes = Math.max(1, state.config.sessionsMaxFileSizeMB) * 1024 * 1024;
+  if (session.partBytes > 0 && session.partBytes + bytes > maxBytes) {
+    session.stream.end();
+    session.partIndex += 1;
+    openSessionPart(session);
+  }
+
+  session.stream.write(line);
+  session.partBytes += bytes;
+  if (record.type === 'entry') {
+    session.meta.entryCount += 1;
+  } else if (record.type === 'client') {
+    session.meta.clients[record.clientId] = record.info;
+    writeSessionMeta(session);
+  }
+}
+
+function pruneSessions(root, currentId) {
+  const ids = listSessionIds(root).filter(id => id !== currentId);
+  const keep = Math.max(0, state.config.sessionsMaxSessions - 1);
+  const stale = ids.slice(0, Math.max(0, ids.length - keep));
+  for (const id of stale) {
+    fs.rm(path.join(root, id), { recursive: true, force: true }, () => {});
+  }
+}
+
+function listSessionIds(root) {
+  try {
+    return fs.readdirSync(root, { withFileTypes: true })
+      .filter(dirent => dirent.isDirectory())
+      .map(dirent => dirent.name)
+      .sort();
+  } catch (err) {
+    return [];
+  }
+}
+
+function readSessionMeta(dir, id) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, SESSION_META_FILE), 'utf8'));
+  } catch (err) {
+    return { id, startedAt: null, endedAt: null, entryCount: null };
+  }
+}
+
+function openSession() {
+  const root = getSessionsRoot();
+  const ids = root ? listSessionIds(root).reverse() : [];
+  if (!ids.length) {
+    vscode.window.showInformationMessage('Console Samurai has no recorded sessions yet.');
+    return;
+  }
+
+  const items = ids.map(id => {
+    const meta = readSessionMeta(path.join(root, id), id);
+    const current = state.session && state.session.id === id;
+    const started = meta.startedAt ? new Date(meta.startedAt).toLocaleString() : id;
+    const count = current ? state.session.meta.entryCount : meta.entryCount;
+    const status = current ? 'current' : (meta.endedAt ? `ended ${new Date(meta.endedAt).toLocaleTimeString()}` : 'interrupted');
+    return {
+      label: started,
+      description: `${count == null ? '?' : count} entries, ${status}`,
+      detail: [(meta.workspace || []).join(', '), meta.port ? `${meta.host}:${meta.port}` : ''].filter(Boolean).join(' | '),
+      id,
+      meta
+    };
+  });
+
+  vscode.window.showQuickPick(items, { placeHolder: 'Select a Console Samurai session to open' }).then(item => {
+    if (item) {
+      showSession(path.join(root, item.id), item);
+    }
+  });
+}
+
+// Resolved paths are local to this machine, so they stay out of session files and exports.
+function toStoredEntry(entry) {
+  const stored = Object.assign({}, entry);
+  delete stored.resolvedPath;
+  if (entry.frames) {
+    stored.frames = entry.frames.map(frame => {
+      const copy = Object.assign({}, frame);
+      delete copy.resolvedPath;
+      return copy;
+    });
+  }
+  return stored;
+}
+
+function restoreEntryPaths(entry) {
+  entry.resolvedPath = resolveEntryPath(entry);
+  if (Array.isArray(entry.frames)) {
+    for (const frame of entry.frames) {
+      frame.resolvedPath = frame && frame.file ? resolveFrameFile(frame.file) : null;
+    }
+  }
+  return entry;
+}
+
+function loadSessionRecords(dir, meta) {
+  const logs = [];
+  const clients = new Map();
+  for (const [clientId, info] of Object.entries((meta && meta.clients) || {})) {
+    clients.set(Number(clientId), info);
+  }
+
+  let parts = [];
+  try {
+    parts = fs.readdirSync(dir).filter(name => /^log-\d+\.ndjson$/.test(name)).sort();
+  } catch (err) {
+    return { logs, clients };
+  }
+
+  for (const part of parts) {
+    let content = '';
+    try {
+      content = fs.readFileSync(path.join(dir, part), 'utf8');
+    } catch (err) {
+      continue;
+    }
+    for (const line of content.split('\n')) {
+      if (!line) {
+        continue;
+      }
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        continue;
+      }
+      if (record && record.type === 'entry' && record.entry) {
+        logs.push(restoreEntryPaths(record.entry));
+      } else if (record && record.type === 'client') {
+        clients.set(record.clientId, record.info || {});
+      }
+    }
+  }
+
+  return { logs, clients };
+}
+
+function showSession(dir, item) {
+  const { logs, clients } = loadSessionRecords(dir, item.meta);
+  const total = logs.length;
+  const visibleLogs = logs.slice(Math.max(0, total - state.maxLogEntries));
+  const title = `Console Samurai Session: ${item.label}`;
+
+  const panel = createViewerPanel('consoleSamuraiSession', title, message => {
+    if (message.type === 'open' && message.entryId) {
+      const entry = visibleLogs.find(log => log.id === message.entryId);
+      if (entry) {
+        revealEntry(entry);
+      }
+      return;
+    }
+
+    if (message.type === 'export') {
+      exportLogs(selectEntries(visibleLogs, message.entryIds), clients);
+    }
+  });
+
+  panel.webview.postMessage({
+    type: 'init',
+    readOnly: true,
+    logs: visibleLogs,
+    enabledLevels: state.config.enabledLevels,
+    clientCount: clients.size,
+    processes: buildProcessList(clients),
+    server: `session ${item.id}`
+  });
+
+  if (total > visibleLogs.length) {
+    vscode.window.showInformationMessage(`Console Samurai is showing the last ${visibleLogs.length} of ${total} entries from this session.`);
+  }
+}
+
+function selectEntries(logs, entryIds) {
+  if (!Array.isArray(entryIds)) {
+    return logs;
+  }
+  const ids = new Set(entryIds);
+  return logs.filter(entry => ids.has(entry.id));
+}
+
+function exportLogsFromCommand() {
+  const enabledLevels = state.config.enabledLevels;
+  if (enabledLevels.length >= LEVELS.length) {
+    exportLogs(state.logs, state.clientInfo);
+    return;
+  }
+
+  const items = [
+    { label: 'All entries', logs: state.logs },
+    {
+      label: 'Enabled levels only',
+      description: enabledLevels.join(', '),
+      logs: state.logs.filter(entry => enabledLevels.includes(entry.level))
+    }
+  ];
+  vscode.window.showQuickPick(items, { placeHolder: 'Select the entries to export' }).then(item => {
+    if (item) {
+      exportLogs(item.logs, state.clientInfo);
+    }
+  });
+}
+
+function exportLogs(logs, clients) {
+  if (!logs.length) {
+    vscode.window.showInformationMessage('Console Samurai has no log entries to export.');
+    return;
+  }
+
+  const networkCount = logs.filter(entry => entry.kind === 'network').length;
+  const formats = [
+    { label: 'NDJSON', description: 'One JSON record per line', extension: 'ndjson', build: buildNdjsonExport },
+    { label: 'JSON', description: 'Pretty-printed JSON document', extension: 'json', build: buildJsonExport }
+  ];
+  if (networkCount) {
+    formats.push({ label: 'HAR', description: `${networkCount} network entries (HAR 1.2)`, extension: 'har', build: buildHarExport });
+  }
+
+  vscode.window.showQuickPick(formats, { placeHolder: `Export ${logs.length} entries as` }).then(format => {
+    if (!format) {
+      return;
+    }
+
+    const folders = vscode.workspace.workspaceFolders || [];
+    const fileName = `console-samurai-${new Date().toISOString().replace(/[:.]/g, '-')}.${format.extension}`;
+    const defaultUri = folders.length ? vscode.Uri.joinPath(folders[0].uri, fileName) : undefined;
+    const filters = {};
+    filters[format.label] = [format.extension];
+
+    vscode.window.showSaveDialog({ defaultUri, filters }).then(uri => {
+      if (!uri) {
+        return;
+      }
+      const content = format.build(logs, collectClients(logs, clients));
+      fs.writeFile(uri.fsPath, content, err => {
+        if (err) {
+          vscode.window.showErrorMessage(`Console Samurai failed to export logs: ${err.message}`);
+          return;
+        }
+        vscode.window.showInformationMessage(`Console Samurai exported ${logs.length} entries to ${uri.fsPath}.`);
+      });
+    });
+  });
+}
+
+function collectClients(logs, clients) {
+  const result = {};
+  for (const entry of logs) {
+    if (entry.clientId == null || result[entry.clientId]) {
+      continue;
+    }
+    const info = clients.get(entry.clientId);
+    if (info) {
+      result[entry.clientId] = info;
+    }
+  }
+  return result;
+}
+
+function buildExportHeader(clients) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    exportedBy: `Console Samurai ${EXTENSION_VERSION}`,
+    clients
+  };
+}
+
+function buildNdjsonExport(logs, clients) {
+  const lines = [JSON.stringify(Object.assign({ type: 'header' }, buildExportHeader(clients)))];
+  for (const entry of logs) {
+    lines.push(JSON.stringify({ type: 'entry', entry: toStoredEntry(entry) }));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function buildJsonExport(logs, clients) {
+  const document = Object.assign(buildExportHeader(clients), { entries: logs.map(toStoredEntry) });
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+function buildHarExport(logs, clients) {
+  const entries = logs.filter(entry => entry.kind === 'network').map(entry => buildHarEntry(entry, clients));
+  const har = {
+    log: {
+      version: '1.2',
+      creator: {
+        name: 'Console Samurai',
+        version: EXTENSION_VERSION
+      },
+      pages: [],
+      entries
+    }
+  };
+  return `${JSON.stringify(har, null, 2)}\n`;
+}
+
+function buildHarEntry(entry, clients) {
+  const durationMs = Number(entry.durationMs) || 0;
+  const status = typeof entry.status === 'number' ? entry.status : 0;
+  const requestDetails = entry.request || {};
+  const responseDetails = entry.response || {};
+  const response = {
+    status,
+    statusText: '',
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: toHarHeaders(responseDetails.headers),
+    content: {
+      size: Number.isFinite(responseDetails.size) ? responseDetails.size : 0,
+      mimeType: responseDetails.contentType || ''
+    },
+    redirectURL: '',
+    headersSize: -1,
+    bodySize: Number.isFinite(responseDetails.size) ? responseDetails.size : -1
+  };
+  if (typeof responseDetails.body === 'string') {
+    response.content.text = responseDetails.body;
+    if (responseDetails.truncated) {
+      response.content.comment = 'Body preview truncated';
+    }
+  }
+  if (!status) {
+    response._error = entry.status ? String(entry.status) : 'No response';
+  }
+
+  const request = {
+    method: entry.method || 'GET',
+    url: entry.url || '',
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: toHarHeaders(requestDetails.headers),
+    queryString: parseQueryString(entry.url),
+    headersSize: -1,
+    bodySize: Number.isFinite(requestDetails.bodySize) ? requestDetails.bodySize : -1
+  };
+  if (typeof requestDetails.body === 'string') {
+    request.postData = {
+      mimeType: (requestDetails.headers && requestDetails.headers['content-type']) || '',
+      text: requestDetails.body
+    };
+    if (requestDetails.truncated) {
+      request.postData.comment = 'Body preview truncated';
+    }
+  }
+
+  return {
+    startedDateTime: new Date(entry.timestamp - durationMs).toISOString(),
+    time: durationMs,
+    request,
+    response,
+    cache: {},
+    timings: {
+      send: 0,
+      wait: durationMs,
+      receive: 0
+    },
+    _consoleSamurai: {
+      entryId: entry.id,
+      clientId: entry.clientId,
+      client: clients[entry.clientId] || null,
+      file: entry.file,
+      line: entry.line
+    }
+  };
+}
+
+function toHarHeaders(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({ name, value }));
+}
+
+function parseQueryString(urlString) {
+  if (!urlString) {
+    return [];
+  }
+  try {
+    const url = new URL(urlString, 'http://localhost');
+    return Array.from(url.searchParams.entries()).map(([name, value]) => ({ name, value }));
+  } catch (err) {
+    return [];
+  }
+}
+
+function importLogs() {
+  vscode.window.showOpenDialog({
+    canSelectMany: false,
+    openLabel: 'Import',
+    filters: {
+      'Console Samurai logs': ['ndjson', 'jsonl', 'json']
+    }
+  }).then(uris => {
+    if (!uris || !uris.length) {
+      return;
+    }
+
+    const filePath = uris[0].fsPath;
+    let imported;
+    try {
+      imported = parseImportedLogs(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      vscode.window.showErrorMessage(`Console Samurai failed to read ${filePath}: ${err.message}`);
+      return;
+    }
+
+    if (!imported.entries.length) {
+      vscode.window.showWarningMessage('Console Samurai found no log entries in the selected file.');
+      return;
+    }
+
+    const entries = imported.entries.slice().sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    const modes = [
+      { label: 'Load all entries', description: `${entries.length} entries`, replay: false },
+      { label: 'Replay with original timing', description: formatReplayDuration(entries), replay: true }
+    ];
+
+    vscode.window.showQuickPick(modes, { placeHolder: 'How should the imported entries be shown?' }).then(mode => {
+      if (!mode) {
+        return;
+      }
+      const clientIds = registerImportedClients(imported, path.basename(filePath));
+      if (mode.replay) {
+        startReplay(entries, clientIds, path.basename(filePath));
+        return;
+      }
+      const added = entries.map(entry => recordLogEntry(entry, clientIds.get(entry.clientId) || null, true));
+      updateWebview(added);
+      vscode.window.showInformationMessage(`Console Samurai imported ${entries.length} entries.`);
+    });
+  });
+}
+
+function parseImportedLogs(content) {
+  const result = { entries: [], clients: new Map() };
+
+  let document = null;
+  try {
+    document = JSON.parse(content);
+  } catch (err) {
+    document = null;
+  }
+
+  if (Array.isArray(document)) {
+    result.entries = normalizeImportedEntries(document);
+    return result;
+  }
+  if (document && Array.isArray(document.entries)) {
+    result.entries = normalizeImportedEntries(document.entries);
+    addImportedClients(result.clients, document.clients);
+    return result;
+  }
+
+  const rawEntries = [];
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim()) {
+      continue;
+    }
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      continue;
+    }
+    if (!record || typeof record !== 'object') {
+      continue;
+    }
+    if (record.type === 'header') {
+      addImportedClients(result.clients, record.clients);
+    } else if (record.type === 'client') {
+      result.clients.set(record.clientId, record.info || {});
+    } else if (record.type === 'entry') {
+      rawEntries.push(record.entry);
+    } else {
+      rawEntries.push(record);
+    }
+  }
+
+  result.entries = normalizeImportedEntries(rawEntries);
+  return result;
+}
+
+function normalizeImportedEntries(rawEntries) {
+  const entries = [];
+  for (const raw of rawEntries) {
+    if (!raw || typeof raw !== 'object' || !(raw.level || raw.kind || raw.text)) {
+      continue;
+    }
+    const payload = sanitizeLogPayload(raw);
+    if (payload) {
+      payload.clientId = raw.clientId == null ? null : raw.clientId;
+      entries.push(payload);
+    }
+  }
+  return entries;
+}
+
+function addImportedClients(target, clients) {
+  if (!clients || typeof clients !== 'object') {
+    return;
+  }
+  for (const [clientId, info] of Object.entries(clients)) {
+    target.set(Number(clientId), info || {});
+  }
+}
+
+function registerImportedClients(imported, fileName) {
+  const clientIds = new Map();
+  const originalIds = new Set(imported.clients.keys());
+  for (const entry of imported.entries) {
+    if (entry.clientId != null) {
+      originalIds.add(entry.clientId);
+    }
+  }
+
+  for (const originalId of originalIds) {
+    const clientId = ++state.clientSeq;
+    const info = Object.assign({}, imported.clients.get(originalId) || {}, { importedFrom: fileName });
+    clientIds.set(originalId, clientId);
+    state.clientInfo.set(clientId, info);
+  }
+  return clientIds;
+}
+
+function formatReplayDuration(entries) {
+  const first = entries[0].timestamp || 0;
+  const last = entries[entries.length - 1].timestamp || 0;
+  const seconds = Math.max(0, Math.round((last - first) / 1000));
+  return `${entries.length} entries over ${seconds}s`;
+}
+
+function startReplay(entries, clientIds, label) {
+  stopReplay();
+  state.replay = {
+    entries,
+    clientIds,
+    label,
+    index: 0,
+    speed: 1,
+    paused: false,
+    timer: null,
+    dueAt: 0,
+    remaining: 0
+  };
+  scheduleReplay(0);
+}
+
+function scheduleReplay(delay) {
+  const replay = state.replay;
+  if (!replay) {
+    return;
+  }
+
+  clearTimeout(replay.timer);
+  replay.timer = null;
+  if (replay.paused) {
+    replay.remaining = delay;
+    updateReplayStatus();
+    return;
+  }
+
+  replay.dueAt = Date.now() + delay;
+  replay.timer = setTimeout(() => emitReplayEntry(), delay);
+  updateReplayStatus();
+}
+
+function emitReplayEntry() {
+  const replay = state.replay;
+  if (!replay) {
+    return;
+  }
+
+  const entry = replay.entries[replay.index];
+  replay.index += 1;
+  addLogEntry(entry, replay.clientIds.get(entry.clientId) || null, true);
+
+  if (replay.index >= replay.entries.length) {
+    stopReplay();
+    vscode.window.showInformationMessage(`Console Samurai finished replaying ${replay.label}.`);
+    return;
+  }
+
+  const next = replay.entries[replay.index];
+  const gap = Math.max(0, (next.timestamp || 0) - (entry.timestamp || 0));
+  scheduleReplay(gap / replay.speed);
+}
+
+function stepReplay() {
+  if (!state.replay) {
+    return;
+  }
+  clearTimeout(state.replay.timer);
+  emitReplayEntry();
+}
+
+function toggleReplayPause() {
+  const replay = state.replay;
+  if (!replay) {
+    return;
+  }
+
+  if (replay.paused) {
+    replay.paused = false;
+    scheduleReplay(replay.remaining);
+    return;
+  }
+
+  replay.paused = true;
+  scheduleReplay(Math.max(0, replay.dueAt - Date.now()));
+}
+
+function setReplaySpeed(speed) {
+  const replay = state.replay;
+  if (!replay || !(speed > 0)) {
+    return;
+  }
+
+  const pending = replay.paused ? replay.remaining : Math.max(0, replay.dueAt - Date.now());
+  const scaled = pending * replay.speed / speed;
+  replay.speed = speed;
+  scheduleReplay(scaled);
+}
+
+function pickReplaySpeed() {
+  if (!state.replay) {
+    return;
+  }
+
+  const items = REPLAY_SPEEDS.map(speed => ({
+    label: `${speed}x`,
+    description: speed === state.replay.speed ? 'current' : '',
+    speed
+  }));
+  vscode.window.showQuickPick(items, { placeHolder: 'Replay speed' }).then(item => {
+    if (item) {
+      setReplaySpeed(item.speed);
+    }
+  });
+}
+
+function showReplayControls() {
+  const replay = state.replay;
+  if (!replay) {
+    vscode.window.showInformationMessage('Console Samurai is not replaying a log file.');
+    return;
+  }
+
+  const items = [
+    { label: replay.paused ? '$(debug-continue) Resume' : '$(debug-pause) Pause', action: () => toggleReplayPause() },
+    { label: '$(dashboard) Change Speed…', description: `${replay.speed}x`, action: () => pickReplaySpeed() },
+    { label: '$(debug-step-over) Skip to Next Entry', action: () => stepReplay() },
+    { label: '$(debug-stop) Stop Replay', action: () => stopReplay() }
+  ];
+  vscode.window.showQuickPick(items, { placeHolder: `Replaying ${replay.label}` }).then(item => {
+    if (item) {
+      item.action();
+    }
+  });
+}
+
+function stopReplay() {
+  const replay = state.replay;
+  if (!replay) {
+    return;
+  }
+  clearTimeout(replay.timer);
+  state.replay = null;
+  updateReplayStatus();
+}
+
+function updateReplayStatus() {
+  const item = state.replayStatusBar;
+  if (!item) {
+    return;
+  }
+
+  const replay = state.replay;
+  vscode.commands.executeCommand('setContext', 'consoleSamurai.replaying', Boolean(replay));
+  if (!replay) {
+    item.hide();
+    return;
+  }
+
+  const icon = replay.paused ? '$(debug-pause)' : '$(play)';
+  item.text = `${icon} Replay ${replay.index}/${replay.entries.length} (${replay.speed}x)`;
+  item.tooltip = `Console Samurai is replaying ${replay.label}. Click for replay controls.`;
+  item.show();
+}
+
+function evaluateInClient() {
+  if (!state.config.replEnabled) {
+    vscode.window.showWarningMessage(
+      'Console Samurai evaluation is disabled. Enable "console-samurai.repl.enabled" to evaluate expressions in connected clients.',
+      'Open Settings'
+    ).then(choice => {
+      if (choice) {
+        vscode.commands.executeCommand('workbench.action.openSettings', 'console-samurai.repl.enabled');
+      }
+    });
+    return;
+  }
+
+  const candidates = Array.from(state.clients.entries())
+    .filter(([, client]) => supportsCapability(client, 'evaluate'));
+  if (!candidates.length) {
+    vscode.window.showInformationMessage('Console Samurai has no connected clients that can evaluate expressions.');
+    return;
+  }
+
+  pickClient(candidates, 'Select the client to evaluate in').then(clientId => {
+    if (clientId != null) {
+      state.replClientId = clientId;
+      promptExpression(clientId);
+    }
+  });
+}
+
+function supportsCapability(client, capability) {
+  const capabilities = client.info && client.info.capabilities;
+  return Array.isArray(capabilities) && capabilities.includes(capability);
+}
+
+function pickClient(candidates, placeHolder) {
+  if (candidates.length === 1) {
+    return Promise.resolve(candidates[0][0]);
+  }
+
+  const items = candidates.map(([clientId, client]) => ({
+    label: describeClient(clientId, client.info),
+    description: clientId === state.replClientId ? 'last used' : '',
+    detail: client.info.url || client.info.remote || '',
+    clientId
+  }));
+  return vscode.window.showQuickPick(items, { placeHolder })
+    .then(item => (item ? item.clientId : null));
+}
+
+function describeClient(clientId, info) {
+  const runtime = (info && info.runtime) || 'client';
+  const pid = info && info.pid ? ` pid ${info.pid}` : '';
+  const thread = info && info.threadId ? ` worker ${info.threadId}` : '';
+  const context = info && typeof info.context === 'string' && info.context !== 'window' ? ` ${info.context} worker` : '';
+  return `#${clientId} ${runtime}${context}${pid}${thread}`;
+}
+
+function indexClientProcesses(clientInfo) {
+  const index = new Map();
+  for (const [clientId, info] of clientInfo) {
+    if (info && typeof info.pid === 'number') {
+      const key = `${info.pid}:${info.threadId || 0}`;
+      index.set(key, (index.get(key) || []).concat(clientId));
+    }
   }
+  return index;
+}
 
-  const urlPath = decodeURIComponent(url.pathname || '');
-  if (!urlPath) {
+function findParentClientId(clientId, info, processIndex) {
+  const parent = info && info.parent;
+  if (!parent || typeof parent.pid !== 'number') {
     return null;
   }
-  const normalizedPath = urlPath.startsWith('/') ? urlPath.slice(1) : urlPath;
+  // Pids are reused over time, so prefer the most recent client that matches.
+  let parentId = null;
+  for (const candidateId of processIndex.get(`${parent.pid}:${parent.threadId || 0}`) || []) {
+    if (candidateId !== clientId && (parentId === null || candidateId > parentId)) {
+      parentId = candidateId;
+    }
+  }
+  return parentId;
+}
 
-  const folders = vscode.workspace.workspaceFolders || [];
-  for (const folder of folders) {
-    const candidate = path.join(folder.uri.fsPath, normalizedPath);
-    if (fs.existsSync(candidate)) {
-      return candidate;
+function buildProcessList(clientInfo) {
+  const processIndex = indexClientProcesses(clientInfo);
+  return Array.from(clientInfo.entries()).map(([clientId, info]) => ({
+    id: clientId,
+    parentId: findParentClientId(clientId, info, processIndex),
+    label: describeClient(clientId, info),
+    detail: (info && (info.command || info.url)) || ''
+  }));
+}
+
+function promptExpression(clientId) {
+  const client = state.clients.get(clientId);
+  if (!client) {
+    return;
+  }
+
+  vscode.window.showInputBox({
+    prompt: `Evaluate in ${describeClient(clientId, client.info)} (Esc to close)`,
+    placeHolder: 'Expression',
+    value: state.replHistory[0] || '',
+    ignoreFocusOut: true
+  }).then(expression => {
+    if (!expression || !expression.trim()) {
+      return;
     }
+    state.replHistory = [expression].concat(state.replHistory.filter(item => item !== expression)).slice(0, 20);
+    if (!state.webviewPanel) {
+      showOutput();
+    }
+    sendEvaluation(clientId, expression).then(() => promptExpression(clientId));
+  });
+}
+
+function sendEvaluation(clientId, expression) {
+  const client = state.clients.get(clientId);
+  if (!client || client.ws.readyState !== WebSocket.OPEN) {
+    vscode.window.showWarningMessage('Console Samurai client is no longer connected.');
+    return Promise.resolve();
   }
 
-  return null;
+  const requestId = ++state.evaluationSeq;
+  client.ws.send(JSON.stringify({ type: 'evaluate', requestId, expression }));
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      state.evaluations.delete(requestId);
+      addReplEntry(clientId, expression, { ok: false, text: `Timed out after ${EVALUATE_TIMEOUT_MS / 1000}s` });
+      resolve();
+    }, EVALUATE_TIMEOUT_MS);
+    state.evaluations.set(requestId, { clientId, expression, timer, resolve });
+  });
 }
 
-function showOutput() {
-  if (state.webviewPanel) {
-    state.webviewPanel.reveal(vscode.ViewColumn.Beside, true);
-    updateWebview();
+function handleEvaluateResult(clientId, message) {
+  const pending = state.evaluations.get(message.requestId);
+  if (!pending || pending.clientId !== clientId) {
     return;
   }
+  state.evaluations.delete(message.requestId);
+  clearTimeout(pending.timer);
 
-  const panel = vscode.window.createWebviewPanel(
-    'consoleSamuraiOutput',
-    'Console Samurai Output',
-    vscode.ViewColumn.Beside,
-    {
-      enableScripts: true,
-      retainContextWhenHidden: true
+  addReplEntry(clientId, pending.expression, message);
+  pending.resolve();
+}
+
+function failEvaluations(clientId, reason) {
+  for (const [requestId, pending] of Array.from(state.evaluations.entries())) {
+    if (pending.clientId !== clientId) {
+      continue;
     }
-  );
+    state.evaluations.delete(requestId);
+    clearTimeout(pending.timer);
+    addReplEntry(clientId, pending.expression, { ok: false, text: reason });
+    pending.resolve();
+  }
+}
 
-  panel.webview.html = getWebviewHtml(panel.webview);
-  panel.onDidDispose(() => {
-    state.webviewPanel = null;
+function addReplEntry(clientId, expression, result) {
+  const ok = result.ok === true;
+  const payload = sanitizeLogPayload({
+    level: ok ? 'info' : 'error',
+    kind: 'repl',
+    text: `> ${expression}\n${typeof result.text === 'string' ? result.text : ''}`,
+    values: 'value' in result ? [result.value] : [],
+    stack: result.error && typeof result.error.stack === 'string' ? result.error.stack : null,
+    timestamp: Date.now(),
+    source: 'repl'
   });
+  if (payload) {
+    addLogEntry(payload, clientId);
+  }
+}
 
-  panel.webview.onDidReceiveMessage(message => {
-    if (!message || typeof message !== 'object') {
-      return;
+// Expands a value the client cut off at maxDepth. The client still holds the object weakly,
+// so the reply fails once it has been collected or the client has gone away.
+function inspectValue(entryId, handle, viewerRequestId) {
+  const reply = result => {
+    if (state.webviewPanel) {
+      state.webviewPanel.webview.postMessage(Object.assign({ type: 'inspectResult', requestId: viewerRequestId }, result));
     }
+  };
+  const entry = state.logs.find(item => item.id === entryId);
+  const clientId = entry ? findInspectClientId(entry.clientId) : null;
+  const client = clientId && state.clients.get(clientId);
+  if (!client) {
+    reply({ ok: false, text: 'Client has disconnected or reloaded; this value can no longer be expanded' });
+    return;
+  }
 
-    if (message.type === 'clear') {
-      clearLogs();
-      return;
+  const requestId = ++state.inspectionSeq;
+  client.ws.send(JSON.stringify({ type: 'inspect', requestId, handle }));
+  const timer = setTimeout(() => {
+    state.inspections.delete(requestId);
+    reply({ ok: false, text: `Timed out after ${INSPECT_TIMEOUT_MS / 1000}s` });
+  }, INSPECT_TIMEOUT_MS);
+  state.inspections.set(requestId, { clientId, timer, reply });
+}
+
+// Handles live in the client's memory, so a Node process that reconnected (same pid and
+// thread) still has them. A reloaded page starts over, so browser handles die with the socket.
+function findInspectClientId(clientId) {
+  const isOpen = id => {
+    const client = state.clients.get(id);
+    return Boolean(client && client.ws.readyState === WebSocket.OPEN && supportsCapability(client, 'inspect'));
+  };
+  if (isOpen(clientId)) {
+    return clientId;
+  }
+
+  const info = state.clientInfo.get(clientId);
+  if (!info || info.runtime !== 'node' || typeof info.pid !== 'number') {
+    return null;
+  }
+  for (const [candidateId, client] of state.clients) {
+    const candidate = client.info;
+    if (candidate && candidate.runtime === 'node' && candidate.pid === info.pid &&
+      (candidate.threadId || 0) === (info.threadId || 0) && isOpen(candidateId)) {
+      return candidateId;
     }
+  }
+  return null;
+}
 
-    if (message.type === 'open' && message.entryId) {
-      openEntry(message.entryId);
-      return;
+function handleInspectResult(clientId, message) {
+  const pending = state.inspections.get(message.requestId);
+  if (!pending || pending.clientId !== clientId) {
+    return;
+  }
+  state.inspections.delete(message.requestId);
+  clearTimeout(pending.timer);
+
+  if (message.ok === true && 'value' in message) {
+    pending.reply({ ok: true, value: message.value });
+  } else {
+    pending.reply({ ok: false, text: typeof message.text === 'string' ? message.text.slice(0, 1024) : 'Inspection failed' });
+  }
+}
+
+function failInspections(clientId, reason) {
+  for (const [requestId, pending] of Array.from(state.inspections.entries())) {
+    if (pending.clientId === clientId) {
+      state.inspections.delete(requestId);
+      clearTimeout(pending.timer);
+      pending.reply({ ok: false, text: reason });
+    }
+  }
+}
+
+function loadLogpoints(context) {
+  const stored = context.workspaceState.get(LOGPOINTS_STATE_KEY);
+  if (!Array.isArray(stored)) {
+    return;
+  }
+  for (const logpoint of stored) {
+    if (logpoint && typeof logpoint.id === 'string' && typeof logpoint.uri === 'string' &&
+        Number.isInteger(logpoint.line) && typeof logpoint.template === 'string') {
+      state.logpoints.set(logpoint.id, logpoint);
     }
+  }
+}
 
-    if (message.type === 'openSettings') {
-      vscode.commands.executeCommand('workbench.action.openSettings', 'console-samurai');
+function toggleLogpoint() {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor || editor.document.uri.scheme !== 'file') {
+    vscode.window.showInformationMessage('Console Samurai logpoints can only be set in files on disk.');
+    return;
+  }
+
+  const uriKey = editor.document.uri.toString();
+  const line = editor.selection.active.line;
+  const existing = Array.from(state.logpoints.values())
+    .find(logpoint => logpoint.uri === uriKey && logpoint.line === line);
+
+  vscode.window.showInputBox({
+    prompt: existing
+      ? 'Edit the logpoint message, or clear it to remove the logpoint'
+      : 'Logpoint message. Expressions in {braces} are evaluated, e.g. user={user.id}',
+    value: existing ? existing.template : '',
+    ignoreFocusOut: true
+  }).then(template => {
+    if (template === undefined) {
+      return;
+    }
+    if (!template.trim()) {
+      if (existing) {
+        state.logpoints.delete(existing.id);
+        logpointsChanged([uriKey]);
+      }
       return;
     }
+
+    const logpoint = existing || {
+      id: crypto.randomBytes(6).toString('hex'),
+      uri: uriKey,
+      file: editor.document.uri.fsPath,
+      line
+    };
+    logpoint.template = template;
+    state.logpoints.set(logpoint.id, logpoint);
+    logpointsChanged([uriKey]);
+
+    const capable = Array.from(state.clients.values()).some(client => supportsCapability(client, 'logpoints'));
+    if (!capable) {
+      vscode.window.showInformationMessage('Logpoint saved. It will be installed when a Node client connects.');
+    }
   });
+}
 
-  state.webviewPanel = panel;
-  updateWebview();
+function removeAllLogpoints() {
+  const uriKeys = Array.from(state.logpoints.values()).map(logpoint => logpoint.uri);
+  state.logpoints.clear();
+  logpointsChanged(uriKeys);
 }
 
-function updateWebview(newEntry) {
-  if (!state.webviewPanel) {
+function shiftLogpoints(event) {
+  const uriKey = event.document.uri.toString();
+  const logpoints = Array.from(state.logpoints.values()).filter(logpoint => logpoint.uri === uriKey);
+  if (!logpoints.length || !event.contentChanges.length) {
     return;
   }
 
-  const webview = state.webviewPanel.webview;
-  const payload = {
-    type: newEntry ? 'append' : 'init',
-    entry: newEntry || null,
-    logs: newEntry ? null : state.logs,
-    enabledLevels: state.config.enabledLevels,
-    clientCount: state.clients.size,
-    server: state.server ? `${state.serverHost}:${state.serverPort}` : 'stopped'
-  };
+  let changed = false;
+  for (const change of event.contentChanges) {
+    const start = change.range.start;
+    const end = change.range.end;
+    const delta = change.text.split('\n').length - 1 - (end.line - start.line);
+    const wholeLines = start.character === 0 && end.character === 0;
+
+    for (const logpoint of logpoints) {
+      if (!state.logpoints.has(logpoint.id) || logpoint.line < start.line) {
+        continue;
+      }
+      const insertedAbove = wholeLines && logpoint.line === start.line && change.text.endsWith('\n');
+      if (logpoint.line > end.line || (wholeLines && logpoint.line === end.line && end.line > start.line) || insertedAbove) {
+        if (delta !== 0) {
+          logpoint.line += delta;
+          changed = true;
+        }
+      } else if (logpoint.line > start.line || (wholeLines && end.line > start.line)) {
+        // The logpoint's line was deleted or merged into the line above.
+        state.logpoints.delete(logpoint.id);
+        changed = true;
+      }
+    }
+  }
 
-  webview.postMessage(payload);
+  if (changed) {
+    logpointsChanged([uriKey]);
+  }
 }
 
-function openEntry(entryId) {
-  const entry = state.logs.find(item => item.id === entryId);
-  if (!entry) {
+function logpointsChanged(uriKeys) {
+  const stored = Array.from(state.logpoints.values());
+  state.extensionContext.workspaceState.update(LOGPOINTS_STATE_KEY, stored);
+
+  const affected = new Set(uriKeys);
+  for (const editor of vscode.window.visibleTextEditors) {
+    if (affected.has(editor.document.uri.toString())) {
+      refreshLogpointsForEditor(editor);
+    }
+  }
+
+  if (state.logpointSyncTimer) {
+    clearTimeout(state.logpointSyncTimer);
+  }
+  state.logpointSyncTimer = setTimeout(() => {
+    state.logpointSyncTimer = null;
+    for (const client of state.clients.values()) {
+      sendLogpointsToClient(client);
+    }
+  }, LOGPOINT_SYNC_DELAY_MS);
+}
+
+function refreshLogpointsForEditor(editor) {
+  if (!editor || !editor.document) {
     return;
   }
 
-  const resolvedPath = resolveEntryPath(entry);
-  if (!resolvedPath) {
-    vscode.window.showWarningMessage('Console Samurai could not resolve the source file for this log entry.');
+  const uriKey = editor.document.uri.toString();
+  const decorations = [];
+  for (const logpoint of state.logpoints.values()) {
+    if (logpoint.uri !== uriKey || logpoint.line >= editor.document.lineCount) {
+      continue;
+    }
+    const hoverMessage = new vscode.MarkdownString();
+    hoverMessage.appendMarkdown('**Console Samurai logpoint**\n\n');
+    hoverMessage.appendCodeblock(logpoint.template, 'text');
+    decorations.push({ range: new vscode.Range(logpoint.line, 0, logpoint.line, 0), hoverMessage });
+  }
+  editor.setDecorations(state.logpointDecoration, decorations);
+}
+
+function sendLogpointsToClient(client) {
+  if (!supportsCapability(client, 'logpoints') || client.ws.readyState !== WebSocket.OPEN) {
     return;
   }
+  const logpoints = Array.from(state.logpoints.values()).map(logpoint => ({
+    id: logpoint.id,
+    file: logpoint.file,
+    line: logpoint.line + 1,
+    template: logpoint.template
+  }));
+  client.ws.send(JSON.stringify({ type: 'logpoints', logpoints }));
+}
 
-  const uri = vscode.Uri.file(resolvedPath);
-  vscode.workspace.openTextDocument(uri).then(doc => {
-    vscode.window.showTextDocument(doc).then(editor => {
-      const line = Math.max(0, (entry.line || 1) - 1);
-      const column = Math.max(0, (entry.column || 1) - 1);
-      const position = new vscode.Position(line, column);
-      editor.revealRange(new vscode.Range(position, position), vscode.TextEditorRevealType.InCenter);
-      editor.selection = new vscode.Selection(position, position);
+function refreshClientsView() {
+  if (state.clientsViewTimer) {
+    clearTimeout(state.clientsViewTimer);
+    state.clientsViewTimer = null;
+  }
+  if (state.clientsViewEmitter) {
+    state.clientsViewEmitter.fire();
+  }
+}
+
+function scheduleClientsViewRefresh() {
+  if (!state.clientsViewTimer) {
+    state.clientsViewTimer = setTimeout(refreshClientsView, CLIENTS_VIEW_REFRESH_MS);
+  }
+}
+
+function buildClientItems(parentId) {
+  const clientInfo = new Map(Array.from(state.clients.entries()).map(([clientId, client]) => [clientId, client.info || {}]));
+  const processIndex = indexClientProcesses(clientInfo);
+  const parents = new Map(Array.from(clientInfo.entries()).map(([clientId, info]) => [clientId, findParentClientId(clientId, info, processIndex)]));
+  const parentIds = new Set(parents.values());
+  const children = Array.from(state.clients.entries()).filter(([clientId]) => parents.get(clientId) === parentId);
+  return children.map(([clientId, client]) => {
+    const info = client.info || {};
+    const hasChildren = parentIds.has(clientId);
+    const collapsible = hasChildren ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.None;
+    const item = new vscode.TreeItem(describeClient(clientId, info), collapsible);
+    const counts = client.muted ? `muted, ${client.mutedCount} dropped` : `${client.entryCount} entries`;
+    item.clientId = clientId;
+    item.description = [info.url, formatTimestamp(info.connectedAt), counts].filter(Boolean).join(' · ');
+    item.tooltip = buildClientTooltip(client);
+    item.iconPath = new vscode.ThemeIcon(client.muted ? 'mute' : (info.runtime === 'browser' ? 'globe' : 'server-process'));
+    item.contextValue = client.muted ? 'client.muted' : 'client';
+    item.command = { command: 'consoleSamurai.filterClient', title: 'Show in Viewer', arguments: [item] };
+    return item;
+  });
+}
+
+function buildClientTooltip(client) {
+  const info = client.info || {};
+  const md = new vscode.MarkdownString();
+  md.appendMarkdown(`**${escapeMarkdown(info.runtime || 'client')}**\n\n`);
+  if (info.pid) {
+    md.appendMarkdown(`PID: ${info.pid}${info.threadId ? `, worker thread ${info.threadId}` : ''}${info.ppid ? ` (parent PID ${info.ppid})` : ''}\n\n`);
+  }
+  if (info.command) {
+    md.appendMarkdown(`Command: \`${String(info.command).replace(/`/g, "'")}\`\n\n`);
+  }
+  if (info.context && info.context !== 'window') {
+    md.appendMarkdown(`Worker: ${escapeMarkdown(String(info.context))}${info.name ? ` (${escapeMarkdown(String(info.name))})` : ''}\n\n`);
+  }
+  if (info.url) {
+    md.appendMarkdown(`URL: ${escapeMarkdown(info.url)}\n\n`);
+  }
+  md.appendMarkdown(`Remote: ${escapeMarkdown(info.remote || 'unknown')}\n\n`);
+  md.appendMarkdown(`Connected: ${new Date(info.connectedAt).toLocaleString()}\n\n`);
+  md.appendMarkdown(`Protocol: ${client.protocol}\n\n`);
+  md.appendMarkdown(`Entries: ${client.entryCount}${client.mutedCount ? ` (${client.mutedCount} dropped while muted)` : ''}`);
+  if (client.overrides) {
+    const config = buildClientConfig(client);
+    const summary = CAPTURE_OPTIONS.map(option => `${option.label} ${config[option.key] !== false ? 'on' : 'off'}`).join(', ');
+    md.appendMarkdown(`\n\nCapture: ${summary} (overridden)`);
+  }
+  return md;
+}
+
+function resolveClientArg(item, placeHolder) {
+  if (item && state.clients.has(item.clientId)) {
+    return Promise.resolve(item.clientId);
+  }
+  const candidates = Array.from(state.clients.entries());
+  if (!candidates.length) {
+    vscode.window.showInformationMessage('Console Samurai has no connected clients.');
+    return Promise.resolve(null);
+  }
+  return pickClient(candidates, placeHolder);
+}
+
+function setClientMuted(item, muted) {
+  resolveClientArg(item, muted ? 'Select the client to mute' : 'Select the client to unmute').then(clientId => {
+    const client = state.clients.get(clientId);
+    if (client) {
+      client.muted = muted;
+      refreshClientsView();
+    }
+  });
+}
+
+function disconnectClient(item) {
+  resolveClientArg(item, 'Select the client to disconnect').then(clientId => {
+    const client = state.clients.get(clientId);
+    if (client) {
+      // The clients do not reconnect after this close code.
+      client.ws.close(CLOSE_DISCONNECTED, 'Disconnected from VS Code');
+    }
+  });
+}
+
+function filterViewerByClient(item) {
+  resolveClientArg(item, 'Select the client to show in the viewer').then(clientId => {
+    const client = state.clients.get(clientId);
+    if (!client) {
+      return;
+    }
+    showOutput();
+    state.webviewPanel.webview.postMessage({
+      type: 'scope',
+      scope: { label: describeClient(clientId, client.info), match: { clientId } }
     });
   });
 }
 
-function clearLogs() {
-  state.logs = [];
-  state.lineStateByUri.clear();
-  state.outputChannel.clear();
-  refreshInlineAll();
-  updateWebview();
+function configureClientCapture(item) {
+  resolveClientArg(item, 'Select the client to configure').then(clientId => {
+    const client = state.clients.get(clientId);
+    if (!client) {
+      return null;
+    }
+
+    const current = buildClientConfig(client);
+    const items = CAPTURE_OPTIONS.map(option => ({
+      label: option.label,
+      detail: option.detail,
+      picked: current[option.key] !== false,
+      key: option.key
+    }));
+    return vscode.window.showQuickPick(items, {
+      canPickMany: true,
+      placeHolder: `Capture for ${describeClient(clientId, client.info)} (other clients keep the workspace settings)`
+    }).then(selected => {
+      if (!selected || !state.clients.has(clientId)) {
+        return;
+      }
+      const enabled = new Set(selected.map(option => option.key));
+      const defaults = buildClientConfig({ overrides: null });
+      const overrides = {};
+      for (const option of CAPTURE_OPTIONS) {
+        // Without a default to fall back to, a captureConsole override stays explicit once set.
+        const sticky = !(option.key in defaults) && Boolean(client.overrides && option.key in client.overrides);
+        if (sticky || enabled.has(option.key) !== (defaults[option.key] !== false)) {
+          overrides[option.key] = enabled.has(option.key);
+        }
+      }
+      client.overrides = Object.keys(overrides).length ? overrides : null;
+      sendConfigToClient(client);
+      refreshClientsView();
+    });
+  });
 }
 
 function toggleInline() {
@@ -761,24 +4017,46 @@ function toggleNetwork() {
   updateWebview();
 }
 
+function copyBrowserConfig() {
+  const folders = vscode.workspace.workspaceFolders || [];
+  const config = {
+    host: state.server ? state.serverHost : state.config.host,
+    // The fallback may have moved this window off the configured port.
+    port: state.server ? state.serverPort : state.config.port,
+    token: state.sessionToken
+  };
+  if (folders.length) {
+    config.workspace = folders[0].name;
+  }
+  const snippet = `window.__CONSOLE_SAMURAI__ = ${JSON.stringify(config)};`;
+  vscode.env.clipboard.writeText(snippet).then(() => {
+    vscode.window.showInformationMessage('Console Samurai browser config copied to the clipboard.');
+  });
+}
+
 function broadcastConfig() {
-  for (const { ws } of state.clients.values()) {
-    sendConfigToClient(ws);
+  for (const client of state.clients.values()) {
+    sendConfigToClient(client);
   }
 }
 
-function sendConfigToClient(ws) {
-  if (!ws || ws.readyState !== WebSocket.OPEN) {
+function sendConfigToClient(client) {
+  if (!client || client.ws.readyState !== WebSocket.OPEN) {
     return;
   }
 
+  client.ws.send(JSON.stringify({ type: 'config', config: buildClientConfig(client) }));
+}
+
+// captureConsole is left to the page's own config unless the client has an override for it.
+function buildClientConfig(client) {
   const config = {
     networkEnabled: state.config.networkEnabled,
     captureErrors: state.config.captureErrors,
+    evalEnabled: state.config.replEnabled,
     logCaptureOptions: state.config.logCaptureOptions
   };
-
-  ws.send(JSON.stringify({ type: 'config', config }));
+  return Object.assign(config, client.overrides);
 }
 
 function updateNodeAutoAttach(context) {
@@ -797,15 +4075,19 @@ function updateNodeAutoAttach(context) {
   collection.prepend('NODE_OPTIONS', `--require ${requirePath} `);
 
   const configPayload = {
-    host: state.config.host,
-    port: state.config.port,
+    host: state.server ? state.serverHost : state.config.host,
+    port: state.server ? state.serverPort : state.config.port,
+    token: state.sessionToken,
     captureErrors: state.config.captureErrors,
+    networkEnabled: state.config.networkEnabled,
+    attachChildren: state.config.nodeAttachChildren,
     logCaptureOptions: state.config.logCaptureOptions
   };
   collection.replace('CONSOLE_SAMURAI_CONFIG', JSON.stringify(configPayload));
 }
 
-function getWebviewHtml(webview) {
+function getWebviewHtml(webview, title) {
+  const formatUri = webview.asWebviewUri(vscode.Uri.file(path.join(__dirname, 'media', 'format-value.js')));
   const scriptUri = webview.asWebviewUri(vscode.Uri.file(path.join(__dirname, 'media', 'viewer.js')));
   const styleUri = webview.asWebviewUri(vscode.Uri.file(path.join(__dirname, 'media', 'viewer.css')));
   const nonce = String(Date.now());
@@ -817,24 +4099,34 @@ function getWebviewHtml(webview) {
   <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource}; script-src 'nonce-${nonce}';">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <link href="${styleUri}" rel="stylesheet" />
-  <title>Console Samurai Output</title>
+  <title>${title}</title>
 </head>
 <body>
   <header class="toolbar">
     <div class="toolbar-left">
-      <strong>Console Samurai Output</strong>
+      <strong>${title}</strong>
       <span id="server-status" class="muted"></span>
     </div>
     <div class="toolbar-right">
+      <button id="export">Export</button>
       <button id="clear">Clear</button>
       <button id="settings">Settings</button>
     </div>
   </header>
   <section class="filters">
     <input id="search" type="search" placeholder="Search logs" />
+    <div id="scope" class="scope" hidden>
+      <span id="scope-label"></span>
+      <button id="scope-clear" title="Show all entries">Clear</button>
+    </div>
     <div id="levels" class="levels"></div>
+    <details id="processes" class="processes" hidden>
+      <summary id="processes-summary">Processes</summary>
+      <ul id="process-tree" class="process-tree"></ul>
+    </details>
   </section>
   <section id="log-list" class="log-list"></section>
+  <script nonce="${nonce}" src="${formatUri}"></script>
   <script nonce="${nonce}" src="${scriptUri}"></script>
 </body>
 </html>`;
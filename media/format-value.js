@@ -0,0 +1,158 @@
+// Formats the tagged values the clients send (see PROTOCOL.md). The viewer loads this before
+// viewer.js; extension.js requires it for hovers and the output channel.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.consoleSamuraiFormat = factory();
+  }
+})(this, () => {
+  const VALUE_INLINE_WIDTH = 72;
+
+  // Returns a list of strings and { handle, text, indent } nodes for values cut off at maxDepth.
+  // Handles are only emitted when expandable is set.
+  function formatValue(value, indent, nested, expandable) {
+    if (typeof value === 'string') {
+      return [nested ? quoteString(value) : value];
+    }
+    if (value === null || typeof value !== 'object') {
+      return [String(value)];
+    }
+    if (Array.isArray(value)) {
+      return formatCollection('', '[', ']', value.map(item => formatValue(item, nextIndent(indent), true, expandable)), indent);
+    }
+
+    const child = item => formatValue(item, nextIndent(indent), true, expandable);
+    switch (value.__type) {
+      case 'undefined':
+        return ['undefined'];
+      case 'circular':
+        return ['[Circular]'];
+      case 'number':
+      case 'date':
+      case 'regexp':
+      case 'element':
+      case 'symbol':
+        return [String(value.value)];
+      case 'bigint':
+        return [`${value.value}n`];
+      case 'function':
+        return [value.isClass ? `class ${value.name || '(anonymous)'}` : `ƒ ${value.name || '(anonymous)'}()`];
+      case 'accessor':
+        return [value.getter ? '(...)' : '[Setter]'];
+      case 'more':
+        return [`… ${value.count} more`];
+      case 'collapsed': {
+        const text = value.className === 'Array' || value.size != null ? `${value.className}(${value.size})` : `${value.className && value.className !== 'Object' ? `${value.className} ` : ''}{…}`;
+        if (!expandable || value.handle == null) {
+          return [text];
+        }
+        return [{ handle: value.handle, text, indent }];
+      }
+      case 'promise':
+      case 'weak':
+        return [`${value.className} {…}`];
+      case 'arraybuffer': {
+        const shown = value.bytes ? (value.bytes.length + 1) / 3 : 0;
+        return [`${value.className}(${value.byteLength}) <${value.bytes}${value.byteLength > shown ? ' …' : ''}>`];
+      }
+      case 'typedarray':
+        return formatCollection(`${value.className}(${value.length}) `, '[', ']', value.values.map(child).concat(moreItems(value.truncated)), indent);
+      case 'set':
+        return formatCollection(`${value.className}(${value.size}) `, '{', '}', value.values.map(child).concat(moreItems(value.truncated)), indent);
+      case 'map':
+        return formatCollection(`${value.className}(${value.size}) `, '{', '}', value.entries.map(([key, item]) => child(key).concat(' => ', child(item))).concat(moreItems(value.truncated)), indent);
+      case 'object':
+        return formatCollection(value.nullPrototype ? '[Object: null prototype] ' : (value.className === 'Object' ? '' : `${value.className} `), '{', '}', formatProperties(value.props, indent, expandable).concat(moreItems(value.truncated)), indent);
+      case 'error':
+        return formatError(value, indent, expandable);
+      default:
+        return formatCollection('', '{', '}', formatProperties(value, indent, expandable), indent);
+    }
+  }
+
+  function formatError(error, indent, expandable) {
+    const pad = indent === null ? '' : `\n${nextIndent(indent)}`;
+    let text = typeof error.stack === 'string' && error.stack ? error.stack : `${error.name}: ${error.message}`;
+    if (indent === null) {
+      text = text.split('\n')[0];
+    } else if (indent) {
+      text = text.split('\n').join(`\n${indent}`);
+    }
+    const extras = formatProperties(error.props || {}, indent, expandable);
+    if (error.cause !== undefined) {
+      extras.push(['[cause]: '].concat(formatValue(error.cause, nextIndent(indent), true, expandable)));
+    }
+    if (error.errors) {
+      extras.push(['[errors]: '].concat(formatValue(error.errors, nextIndent(indent), true, expandable)));
+    }
+    if (!extras.length) {
+      return [text];
+    }
+    return indent === null
+      ? [`${text} { `].concat(joinParts(extras, ', '), [' }'])
+      : [`${text} {${pad}`].concat(joinParts(extras, `,${pad}`), [`\n${indent}}`]);
+  }
+
+  function formatProperties(props, indent, expandable) {
+    return Object.keys(props).map(key => {
+      if (key === '__truncated__') {
+        return [`… ${String(props[key]).replace(/ keys$/, '')} more`];
+      }
+      const name = /^[A-Za-z_$][\w$]*$|^\[Symbol\(.*\)\]$/.test(key) ? key : quoteString(key);
+      return [`${name}: `].concat(formatValue(props[key], nextIndent(indent), true, expandable));
+    });
+  }
+
+  function formatCollection(prefix, open, close, items, indent) {
+    if (!items.length) {
+      return [`${prefix}${open}${close}`];
+    }
+    const inline = [`${prefix}${open}`].concat(joinParts(items, ', '), [close]);
+    // Short collections stay on one line, like the devtools console.
+    if (indent === null || (partsLength(inline) <= VALUE_INLINE_WIDTH && !partsHaveNewline(inline))) {
+      return inline;
+    }
+    const pad = nextIndent(indent);
+    return [`${prefix}${open}\n${pad}`].concat(joinParts(items, `,\n${pad}`), [`\n${indent}${close}`]);
+  }
+
+  function joinParts(items, separator) {
+    const parts = [];
+    items.forEach((item, index) => {
+      if (index) {
+        parts.push(separator);
+      }
+      for (const part of item) {
+        parts.push(part);
+      }
+    });
+    return parts;
+  }
+
+  function partsLength(parts) {
+    return parts.reduce((total, part) => total + (typeof part === 'string' ? part : part.text).length, 0);
+  }
+
+  function partsHaveNewline(parts) {
+    return parts.some(part => typeof part === 'string' && part.includes('\n'));
+  }
+
+  function moreItems(count) {
+    return count > 0 ? [[`… ${count} more`]] : [];
+  }
+
+  function nextIndent(indent) {
+    return indent === null ? null : `${indent}  `;
+  }
+
+  function quoteString(text) {
+    return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+  }
+
+  function formatValueText(value, indent, nested) {
+    return formatValue(value, indent, nested, false).map(part => (typeof part === 'string' ? part : part.text)).join('');
+  }
+
+  return { formatValue, formatValueText, joinParts };
+});
@@ -1,35 +1,135 @@
 (() => {
   const vscode = acquireVsCodeApi();
+  const { formatValue, joinParts } = window.consoleSamuraiFormat;
   const LEVELS = ['log', 'info', 'warn', 'error', 'debug', 'trace', 'time', 'network'];
+  const BADGE_BY_KIND = { security: 'SECURITY', repl: 'REPL', assert: 'ASSERT' };
+  const CHANNEL_BADGES = { websocket: 'WS', eventsource: 'SSE' };
+  const ESTIMATED_ROW_HEIGHT = 48;
+  const OVERSCAN_PX = 600;
+  const STYLE_PROPERTY_PATTERN = /^(?:color|background(?:-color)?|font(?:-(?:weight|style|size|family|variant))?|text-(?:decoration|transform|shadow)|line-height|letter-spacing|word-spacing|(?:padding|margin)(?:-(?:top|right|bottom|left))?|border(?:-(?:top|right|bottom|left|color|style|width|radius))?|outline|display|white-space|opacity)$/;
 
   const state = {
     logs: [],
     enabledLevels: new Set(LEVELS),
     search: '',
-    entryElements: new Map()
+    scope: null,
+    // One record per row of the list; rows only get DOM while they are near the viewport.
+    rows: [],
+    visibleRows: [],
+    offsets: [0],
+    offsetsValid: 0,
+    mounted: [],
+    renderPending: false,
+    levelsKey: '',
+    channels: new Map(),
+    groupStacks: new Map(),
+    processes: new Map(),
+    processesKey: '',
+    inspections: new Map(),
+    inspectSeq: 0,
+    readOnly: false
   };
 
   const logList = document.getElementById('log-list');
   const searchInput = document.getElementById('search');
   const levelsContainer = document.getElementById('levels');
   const clearButton = document.getElementById('clear');
+  const exportButton = document.getElementById('export');
   const settingsButton = document.getElementById('settings');
   const serverStatus = document.getElementById('server-status');
+  const scopeBar = document.getElementById('scope');
+  const scopeLabel = document.getElementById('scope-label');
+  const scopeClearButton = document.getElementById('scope-clear');
+  const processesPanel = document.getElementById('processes');
+  const processesSummary = document.getElementById('processes-summary');
+  const processTree = document.getElementById('process-tree');
+  const spacer = document.createElement('div');
+  const rowsLayer = document.createElement('div');
 
   function init() {
+    spacer.className = 'log-spacer';
+    rowsLayer.className = 'log-rows';
+    spacer.appendChild(rowsLayer);
+    logList.appendChild(spacer);
+    window.addEventListener('scroll', scheduleRender);
+    window.addEventListener('resize', scheduleRender);
+
     renderLevelFilters();
     searchInput.addEventListener('input', () => {
+      const previous = state.search;
       state.search = searchInput.value.trim().toLowerCase();
-      applyFilters();
+      applyFilters(Boolean(previous) && state.search.includes(previous));
     });
 
     clearButton.addEventListener('click', () => {
       vscode.postMessage({ type: 'clear' });
     });
 
+    exportButton.addEventListener('click', () => {
+      const entryIds = state.logs.filter(entry => isVisible(entry)).map(entry => entry.id);
+      vscode.postMessage({ type: 'export', entryIds });
+    });
+
     settingsButton.addEventListener('click', () => {
       vscode.postMessage({ type: 'openSettings' });
     });
+
+    scopeClearButton.addEventListener('click', () => {
+      setScope(null);
+    });
+  }
+
+  function setScope(scope) {
+    const previous = state.scope;
+    state.scope = scope && scope.match ? scope : null;
+    scopeBar.hidden = !state.scope;
+    scopeLabel.textContent = state.scope ? `Showing: ${state.scope.label}` : '';
+    applyFilters(!previous && Boolean(state.scope));
+  }
+
+  function renderProcesses(processes) {
+    const key = JSON.stringify(processes);
+    if (key === state.processesKey) {
+      return;
+    }
+    state.processesKey = key;
+    state.processes = new Map(processes.map(process => [process.id, process]));
+
+    // Only worth showing once there is more than one process to relate.
+    processesPanel.hidden = processes.length < 2;
+    processesSummary.textContent = `Processes (${processes.length})`;
+    processTree.innerHTML = '';
+    const childrenOf = parentId => processes.filter(process => {
+      const parent = state.processes.has(process.parentId) ? process.parentId : null;
+      return parent === parentId;
+    });
+    const appendLevel = (list, parentId) => {
+      for (const process of childrenOf(parentId)) {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = process.label;
+        link.title = process.detail;
+        link.addEventListener('click', event => {
+          event.preventDefault();
+          setScope({ label: process.label, match: { clientId: process.id } });
+        });
+        item.appendChild(link);
+        if (process.detail) {
+          const detail = document.createElement('span');
+          detail.className = 'process-detail';
+          detail.textContent = process.detail;
+          item.appendChild(detail);
+        }
+        const children = document.createElement('ul');
+        appendLevel(children, process.id);
+        if (children.childElementCount) {
+          item.appendChild(children);
+        }
+        list.appendChild(item);
+      }
+    };
+    appendLevel(processTree, null);
   }
 
   function renderLevelFilters() {
@@ -45,7 +145,7 @@
         } else {
           state.enabledLevels.delete(level);
         }
-        applyFilters();
+        applyFilters(!checkbox.checked);
       });
       const text = document.createElement('span');
       text.textContent = level;
@@ -55,22 +155,47 @@
     }
   }
 
-  function applyFilters() {
-    for (const entry of state.logs) {
-      const el = state.entryElements.get(entry.id);
-      if (!el) {
-        continue;
+  // A narrowing change (a longer search, one more level unchecked, a collapsed group) can only
+  // hide rows, so only the rows shown now are checked again.
+  function applyFilters(narrowing) {
+    const candidates = narrowing ? state.visibleRows : state.rows;
+    state.visibleRows = [];
+    for (const record of candidates) {
+      record.shown = isShown(record);
+      if (record.shown) {
+        state.visibleRows.push(record);
       }
-      const visible = state.enabledLevels.has(entry.level) && matchesSearch(entry);
-      el.classList.toggle('hidden', !visible);
     }
+    invalidateOffsets(0);
+    scheduleRender();
   }
 
-  function matchesSearch(entry) {
-    if (!state.search) {
+  function isShown(record) {
+    const parent = record.parent;
+    if (parent && (!parent.shown || parent.collapsed)) {
+      return false;
+    }
+    const entry = record.entry;
+    return state.enabledLevels.has(entry.level) && matchesScope(entry) && (!state.search || record.searchText.includes(state.search));
+  }
+
+  function isVisible(entry) {
+    return state.enabledLevels.has(entry.level) && matchesScope(entry) && matchesSearch(entry);
+  }
+
+  function matchesScope(entry) {
+    if (!state.scope) {
       return true;
     }
-    const haystack = [
+    return Object.keys(state.scope.match).every(key => entry[key] === state.scope.match[key]);
+  }
+
+  function matchesSearch(entry) {
+    return !state.search || searchText(entry).includes(state.search);
+  }
+
+  function searchText(entry) {
+    return [
       entry.text || '',
       entry.file || '',
       entry.stack || '',
@@ -78,12 +203,117 @@
       entry.method || '',
       entry.label || ''
     ].join(' ').toLowerCase();
-    return haystack.includes(state.search);
   }
 
-  function renderEntry(entry) {
+  function invalidateOffsets(index) {
+    state.offsetsValid = Math.min(state.offsetsValid, index);
+  }
+
+  function ensureOffsets() {
+    const rows = state.visibleRows;
+    state.offsets.length = rows.length + 1;
+    for (let i = state.offsetsValid; i < rows.length; i += 1) {
+      state.offsets[i + 1] = state.offsets[i] + rows[i].height;
+    }
+    state.offsetsValid = rows.length;
+  }
+
+  function findRow(offset) {
+    let low = 0;
+    let high = Math.max(0, state.visibleRows.length - 1);
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (state.offsets[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+
+  function scheduleRender() {
+    if (!state.renderPending) {
+      state.renderPending = true;
+      requestAnimationFrame(render);
+    }
+  }
+
+  function render() {
+    state.renderPending = false;
+    ensureOffsets();
+    const rows = state.visibleRows;
+    spacer.style.height = `${state.offsets[rows.length]}px`;
+
+    const viewTop = Math.max(0, -spacer.getBoundingClientRect().top);
+    const first = findRow(Math.max(0, viewTop - OVERSCAN_PX));
+    let last = first;
+    while (last < rows.length && state.offsets[last] < viewTop + window.innerHeight + OVERSCAN_PX) {
+      last += 1;
+    }
+    const wanted = rows.slice(first, last);
+
+    const keep = new Set(wanted);
+    for (const record of state.mounted) {
+      if (!keep.has(record) && record.element) {
+        record.element.remove();
+        // Rows the user has opened keep their DOM, with any expanded values in it.
+        if (!record.touched) {
+          record.element = null;
+        }
+      }
+    }
+    let previous = null;
+    for (const record of wanted) {
+      if (!record.element) {
+        record.element = renderRow(record);
+      }
+      const next = previous ? previous.nextSibling : rowsLayer.firstChild;
+      if (record.element !== next) {
+        rowsLayer.insertBefore(record.element, next);
+      }
+      previous = record.element;
+    }
+    state.mounted = wanted;
+    rowsLayer.style.transform = `translateY(${state.offsets[first]}px)`;
+
+    // Replace the estimated heights with measured ones, keeping the row at the top in place.
+    const anchor = findRow(viewTop);
+    const anchorOffset = state.offsets[anchor];
+    let changed = -1;
+    wanted.forEach((record, index) => {
+      const height = record.element.offsetHeight;
+      if (height && height !== record.height) {
+        record.height = height;
+        changed = changed < 0 ? first + index : changed;
+      }
+    });
+    if (changed >= 0) {
+      invalidateOffsets(changed);
+      ensureOffsets();
+      const shift = state.offsets[anchor] - anchorOffset;
+      if (shift && viewTop > 0) {
+        window.scrollBy(0, shift);
+      }
+      scheduleRender();
+    }
+  }
+
+  function renderRow(record) {
+    const row = document.createElement('div');
+    row.className = 'log-row';
+    if (record.depth) {
+      row.classList.add('nested');
+      row.style.paddingLeft = `${record.depth}rem`;
+    }
+    row.appendChild(renderEntry(record));
+    return row;
+  }
+
+  function renderEntry(record) {
+    const entry = record.entry;
     const wrapper = document.createElement('div');
-    wrapper.className = `entry level-${entry.level}`;
+    wrapper.className = `entry level-${entry.level} kind-${entry.kind}`;
 
     const header = document.createElement('div');
     header.className = 'entry-header';
@@ -93,11 +323,17 @@
 
     const badge = document.createElement('span');
     badge.className = 'badge';
-    badge.textContent = entry.level.toUpperCase();
+    badge.textContent = entry.channel ? CHANNEL_BADGES[entry.channel.type] : BADGE_BY_KIND[entry.kind] || entry.level.toUpperCase();
 
     const message = document.createElement('span');
     message.className = 'entry-message';
-    message.textContent = entry.text || formatFallbackText(entry);
+    if (entry.segments) {
+      renderSegments(message, entry.segments);
+    } else if (record.channel) {
+      message.textContent = channelSummary(record);
+    } else {
+      message.textContent = entry.text || formatFallbackText(entry);
+    }
 
     title.appendChild(badge);
     title.appendChild(message);
@@ -122,22 +358,114 @@
 
     const details = document.createElement('div');
     details.className = 'entry-details';
-    details.textContent = buildDetails(entry);
+    // Values cut off at maxDepth can be expanded from the live client, but not in saved sessions.
+    appendParts(details, buildDetails(entry, !state.readOnly), entry.id);
+    if (entry.kind === 'network' && (entry.request || entry.response)) {
+      details.appendChild(renderNetworkDetails(entry));
+    }
+    if (entry.frames && entry.frames.length) {
+      details.appendChild(renderFrames(entry.frames));
+    }
+    if (record.channel) {
+      const list = document.createElement('div');
+      list.className = 'channel-messages';
+      for (const item of record.channel.messages) {
+        list.appendChild(renderChannelMessage(item));
+      }
+      details.appendChild(list);
+      record.channel.message = message;
+      record.channel.list = list;
+    }
 
     wrapper.appendChild(header);
+    if (entry.table) {
+      wrapper.appendChild(renderTable(entry.table));
+    }
     wrapper.appendChild(details);
 
+    const group = entry.group && entry.group.action === 'start';
+    if (group) {
+      wrapper.classList.add('group');
+      wrapper.classList.toggle('collapsed', record.collapsed);
+    }
+    wrapper.classList.toggle('expanded', record.expanded);
+
     header.addEventListener('click', () => {
-      wrapper.classList.toggle('expanded');
+      record.touched = true;
+      if (group) {
+        record.collapsed = !record.collapsed;
+        wrapper.classList.toggle('collapsed', record.collapsed);
+        applyFilters(record.collapsed);
+        return;
+      }
+      record.expanded = !record.expanded;
+      wrapper.classList.toggle('expanded', record.expanded);
+      scheduleRender();
     });
 
     return wrapper;
   }
 
+  function renderSegments(container, segments) {
+    for (const segment of segments) {
+      const span = document.createElement('span');
+      span.textContent = segment.text;
+      applySegmentStyle(span, segment.style);
+      container.appendChild(span);
+    }
+  }
+
+  function applySegmentStyle(element, css) {
+    // %c styles go through CSSOM one declaration at a time: only known visual properties, and nothing that loads a resource.
+    for (const declaration of String(css || '').split(';')) {
+      const index = declaration.indexOf(':');
+      if (index === -1) {
+        continue;
+      }
+      const name = declaration.slice(0, index).trim().toLowerCase();
+      const value = declaration.slice(index + 1).trim();
+      if (!STYLE_PROPERTY_PATTERN.test(name) || /url\s*\(|expression\s*\(|@import/i.test(value)) {
+        continue;
+      }
+      if (name === 'display' && !/^(?:inline|inline-block)$/i.test(value)) {
+        continue;
+      }
+      element.style.setProperty(name, value);
+    }
+  }
+
+  function renderTable(table) {
+    const container = document.createElement('div');
+    container.className = 'console-table';
+    const element = document.createElement('table');
+    const headRow = element.createTHead().insertRow();
+    for (const column of ['(index)'].concat(table.columns)) {
+      const cell = document.createElement('th');
+      cell.textContent = column;
+      headRow.appendChild(cell);
+    }
+    const body = element.createTBody();
+    for (const row of table.rows) {
+      const tableRow = body.insertRow();
+      for (const value of row) {
+        tableRow.insertCell().textContent = value;
+      }
+    }
+    container.appendChild(element);
+    if (table.truncated) {
+      const note = document.createElement('div');
+      note.className = 'table-note';
+      note.textContent = `Showing the first ${table.rows.length} rows`;
+      container.appendChild(note);
+    }
+    return container;
+  }
+
   function formatMeta(entry) {
     const time = new Date(entry.timestamp).toISOString().split('T')[1].replace('Z', '');
     const location = entry.file && entry.line ? ` | ${entry.file}:${entry.line}` : '';
-    return `${time}${location}`;
+    const process = state.processes.size > 1 ? state.processes.get(entry.clientId) : null;
+    return `${time}${location}${process ? ` | ${process.label}` : ''}`;
   }
 
   function formatFallbackText(entry) {
@@ -150,18 +478,20 @@
     return '';
   }
 
-  function buildDetails(entry) {
+  function buildDetails(entry, expandable) {
     const lines = [];
     if (entry.values && entry.values.length) {
       lines.push('Values:');
-      try {
-        lines.push(JSON.stringify(entry.values, null, 2));
-      } catch (err) {
-        lines.push(String(entry.values));
+      for (const value of entry.values) {
+        lines.push(formatValue(value, '', false, expandable));
       }
       lines.push('');
     }
-    if (entry.stack) {
+    if (entry.generated) {
+      lines.push(`Generated: ${entry.generated.file}:${entry.generated.line}:${entry.generated.column}`);
+      lines.push('');
+    }
+    if (entry.stack && !(entry.frames && entry.frames.length)) {
       lines.push('Stack:');
       lines.push(entry.stack);
       lines.push('');
@@ -174,15 +504,394 @@
       lines.push(`Timer: ${entry.label || ''} ${entry.durationMs || ''}ms`);
       lines.push('');
     }
+    return joinParts(lines.map(line => (typeof line === 'string' ? [line] : line)), '\n');
+  }
+
+  // Formatted values are lists of strings and expandable handle nodes, so text from the
+  // page never gets mistaken for a handle.
+  function appendParts(container, parts, entryId) {
+    for (const part of parts) {
+      if (typeof part === 'string') {
+        if (part) {
+          container.appendChild(document.createTextNode(part));
+        }
+      } else {
+        container.appendChild(renderHandle(part, entryId));
+      }
+    }
+  }
+
+  function renderHandle(node, entryId) {
+    const element = document.createElement('span');
+    element.className = 'value-handle';
+    element.textContent = node.text;
+    element.title = 'Expand';
+    element.addEventListener('click', event => {
+      event.stopPropagation();
+      if (element.classList.contains('pending') || element.classList.contains('unavailable')) {
+        return;
+      }
+      element.classList.add('pending');
+      const requestId = ++state.inspectSeq;
+      state.inspections.set(requestId, { element, indent: node.indent, entryId });
+      vscode.postMessage({ type: 'inspect', entryId, handle: node.handle, requestId });
+    });
+    return element;
+  }
+
+  function showInspectResult(message) {
+    const pending = state.inspections.get(message.requestId);
+    if (!pending) {
+      return;
+    }
+    state.inspections.delete(message.requestId);
+    pending.element.classList.remove('pending');
+    if (!message.ok) {
+      pending.element.classList.add('unavailable');
+      pending.element.title = message.text || 'Inspection failed';
+      return;
+    }
+    const fragment = document.createDocumentFragment();
+    appendParts(fragment, formatValue(message.value, pending.indent, true, true), pending.entryId);
+    pending.element.replaceWith(fragment);
+    scheduleRender();
+  }
+
+  function renderNetworkDetails(entry) {
+    const request = entry.request || {};
+    const response = entry.response || {};
+    const tabs = [{ label: 'Headers', render: () => formatNetworkHeaders(entry, request, response) }];
+    if (typeof request.body === 'string') {
+      const contentType = request.headers ? request.headers['content-type'] : '';
+      tabs.push({ label: 'Payload', render: () => formatBody(request.body, contentType, request.truncated, request.bodySize) });
+    }
+    if (typeof response.body === 'string') {
+      tabs.push({ label: 'Response', render: () => formatBody(response.body, response.contentType, response.truncated, response.size) });
+    }
+
+    const container = document.createElement('div');
+    container.className = 'network-details';
+    const tabBar = document.createElement('div');
+    tabBar.className = 'tabs';
+    const panel = document.createElement('pre');
+    panel.className = 'tab-panel';
+
+    const buttons = tabs.map((tab, index) => {
+      const button = document.createElement('button');
+      button.className = 'tab';
+      button.textContent = tab.label;
+      button.addEventListener('click', event => {
+        event.stopPropagation();
+        select(index);
+      });
+      tabBar.appendChild(button);
+      return button;
+    });
+    const select = index => {
+      buttons.forEach((button, i) => button.classList.toggle('active', i === index));
+      panel.textContent = tabs[index].render();
+    };
+    select(0);
+
+    container.appendChild(tabBar);
+    container.appendChild(panel);
+    return container;
+  }
+
+  function formatNetworkHeaders(entry, request, response) {
+    const lines = ['General'];
+    lines.push(`  Request URL: ${entry.url || ''}`);
+    lines.push(`  Method: ${entry.method || 'GET'}`);
+    lines.push(`  Status: ${entry.status || ''}`);
+    if (response.contentType) {
+      lines.push(`  Content-Type: ${response.contentType}`);
+    }
+    if (typeof response.size === 'number') {
+      lines.push(`  Size: ${formatBytes(response.size)}`);
+    }
+    appendHeaderSection(lines, 'Response Headers', response.headers);
+    appendHeaderSection(lines, 'Request Headers', request.headers);
     return lines.join('\n');
   }
 
+  function appendHeaderSection(lines, title, headers) {
+    if (!headers) {
+      return;
+    }
+    lines.push('');
+    lines.push(title);
+    const names = Object.keys(headers).sort();
+    if (!names.length) {
+      lines.push('  (none)');
+    }
+    for (const name of names) {
+      lines.push(`  ${name}: ${headers[name]}`);
+    }
+  }
+
+  function formatBody(body, contentType, truncated, size) {
+    let text = body;
+    if (!truncated && (/json/i.test(contentType || '') || /^\s*[\[{]/.test(body))) {
+      try {
+        text = JSON.stringify(JSON.parse(body), null, 2);
+      } catch (err) {
+        // Not JSON after all; show it as is.
+      }
+    }
+    if (truncated) {
+      text += `\n\n… truncated${typeof size === 'number' ? ` (${formatBytes(size)} total)` : ''}`;
+    }
+    return text;
+  }
+
+  function formatBytes(size) {
+    if (size < 1024) {
+      return `${size} B`;
+    }
+    if (size < 1024 * 1024) {
+      return `${(size / 1024).toFixed(1)} KB`;
+    }
+    return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  function renderFrames(frames) {
+    const container = document.createElement('div');
+    container.className = 'stack';
+    const title = document.createElement('div');
+    title.textContent = 'Stack:';
+    container.appendChild(title);
+
+    // Consecutive node_modules and runtime frames collapse into one group.
+    let group = null;
+    let groupSize = 0;
+    for (const frame of frames) {
+      const element = renderFrame(frame);
+      if (!frame.internal) {
+        group = null;
+        container.appendChild(element);
+        continue;
+      }
+      if (!group) {
+        group = document.createElement('details');
+        group.className = 'frame-group';
+        group.appendChild(document.createElement('summary'));
+        groupSize = 0;
+        container.appendChild(group);
+      }
+      groupSize += 1;
+      group.firstChild.textContent = `${groupSize} internal frame${groupSize === 1 ? '' : 's'}`;
+      group.appendChild(element);
+    }
+    return container;
+  }
+
+  function renderFrame(frame) {
+    if (!frame.resolvedPath) {
+      const element = document.createElement('div');
+      element.className = 'frame unresolved';
+      element.textContent = frame.text;
+      return element;
+    }
+
+    const link = document.createElement('a');
+    link.className = 'frame';
+    link.href = '#';
+    link.textContent = frame.text;
+    link.title = `${frame.resolvedPath}:${frame.line}:${frame.column}`;
+    link.addEventListener('click', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      vscode.postMessage({ type: 'openLocation', file: frame.resolvedPath, line: frame.line, column: frame.column });
+    });
+    return link;
+  }
+
+  function channelKey(entry) {
+    return `${entry.clientId}:${entry.channel.id}`;
+  }
+
+  function addChannelMessage(record, entry) {
+    const group = record.channel;
+    const channel = entry.channel;
+    group.messages.push(entry);
+    if (channel.direction) {
+      group.count += 1;
+    }
+    if (channel.event === 'close') {
+      group.closed = true;
+    }
+    if (typeof channel.frames === 'number') {
+      group.sampling = { frames: channel.frames, recorded: channel.recorded };
+    }
+    if (record.element) {
+      group.list.appendChild(renderChannelMessage(entry));
+      group.message.textContent = channelSummary(record);
+      scheduleRender();
+    }
+  }
+
+  function channelSummary(record) {
+    const group = record.channel;
+    const parts = [record.entry.text || formatFallbackText(record.entry)];
+    if (group.count) {
+      parts.push(`${group.count} message${group.count === 1 ? '' : 's'}`);
+    }
+    if (group.sampling && group.sampling.recorded < group.sampling.frames) {
+      parts.push(`sampled ${group.sampling.recorded}/${group.sampling.frames}`);
+    }
+    if (group.closed) {
+      parts.push('closed');
+    }
+    return parts.join(' · ');
+  }
+
+  function renderChannelMessage(entry) {
+    const channel = entry.channel;
+    const row = document.createElement('div');
+    row.className = `channel-message channel-${channel.direction || 'event'}`;
+
+    const time = document.createElement('span');
+    time.className = 'channel-time';
+    time.textContent = new Date(entry.timestamp).toISOString().split('T')[1].replace('Z', '');
+    const text = document.createElement('span');
+    text.className = 'channel-text';
+    text.textContent = (entry.text || '').replace(/^(?:WS|SSE) /, '');
+    row.appendChild(time);
+    row.appendChild(text);
+    if (typeof channel.size === 'number') {
+      const size = document.createElement('span');
+      size.className = 'channel-size';
+      size.textContent = formatBytes(channel.size);
+      row.appendChild(size);
+    }
+
+    if (typeof channel.data === 'string' && !channel.binary) {
+      row.classList.add('expandable');
+      row.addEventListener('click', event => {
+        event.stopPropagation();
+        const existing = row.querySelector('.channel-data');
+        if (existing) {
+          existing.remove();
+          return;
+        }
+        const data = document.createElement('pre');
+        data.className = 'channel-data';
+        data.textContent = formatBody(channel.data, '', channel.truncated, channel.size);
+        row.appendChild(data);
+        scheduleRender();
+      });
+    }
+    return row;
+  }
+
+  function appendEntries(entries) {
+    for (const entry of entries) {
+      appendEntry(entry);
+    }
+    scheduleRender();
+  }
+
   function appendEntry(entry) {
     state.logs.push(entry);
-    const element = renderEntry(entry);
-    state.entryElements.set(entry.id, element);
-    logList.appendChild(element);
-    applyFilters();
+    if (entry.channel && state.channels.has(channelKey(entry))) {
+      // Later events of a connection are listed under the entry that opened it.
+      addChannelMessage(state.channels.get(channelKey(entry)), entry);
+      return;
+    }
+    // console.group nesting is tracked per client, since their entries interleave.
+    const groups = state.groupStacks.get(entry.clientId) || [];
+    if (entry.group && entry.group.action === 'end') {
+      groups.pop();
+      return;
+    }
+    const parent = groups.length ? groups[groups.length - 1] : null;
+    const start = Boolean(entry.group && entry.group.action === 'start');
+    const record = {
+      entry,
+      parent,
+      depth: parent ? parent.depth + 1 : 0,
+      searchText: searchText(entry),
+      height: ESTIMATED_ROW_HEIGHT,
+      element: null,
+      shown: false,
+      touched: false,
+      expanded: entry.kind === 'dir',
+      collapsed: start && Boolean(entry.group.collapsed),
+      channel: null
+    };
+    if (entry.channel) {
+      record.channel = { messages: [], count: 0, closed: false, sampling: null, message: null, list: null };
+      state.channels.set(channelKey(entry), record);
+      addChannelMessage(record, entry);
+    }
+    state.rows.push(record);
+    record.shown = isShown(record);
+    if (record.shown) {
+      state.visibleRows.push(record);
+    }
+    if (start) {
+      groups.push(record);
+      state.groupStacks.set(entry.clientId, groups);
+    }
+  }
+
+  // Drops the entries the extension no longer keeps (every id below trimBefore).
+  function trimEntries(trimBefore) {
+    if (typeof trimBefore !== 'number' || !state.logs.length || state.logs[0].id >= trimBefore) {
+      return;
+    }
+    const countBefore = (list, getId) => {
+      const index = list.findIndex(item => getId(item) >= trimBefore);
+      return index < 0 ? list.length : index;
+    };
+    state.logs.splice(0, countBefore(state.logs, entry => entry.id));
+
+    const removed = countBefore(state.rows, record => record.entry.id);
+    for (const record of state.rows.slice(0, removed)) {
+      if (record.channel && state.channels.get(channelKey(record.entry)) === record) {
+        state.channels.delete(channelKey(record.entry));
+      }
+    }
+    state.rows.splice(0, removed);
+    // Ancestors are older than their children, so a trimmed parent has no surviving ancestor either.
+    for (const record of state.rows) {
+      if (record.parent && record.parent.entry.id < trimBefore) {
+        record.parent = null;
+      }
+    }
+    for (const [clientId, groups] of Array.from(state.groupStacks.entries())) {
+      const open = groups.filter(record => record.entry.id >= trimBefore);
+      if (open.length) {
+        state.groupStacks.set(clientId, open);
+      } else {
+        state.groupStacks.delete(clientId);
+      }
+    }
+
+    ensureOffsets();
+    const hidden = countBefore(state.visibleRows, record => record.entry.id);
+    const removedHeight = state.offsets[hidden];
+    state.visibleRows.splice(0, hidden);
+    invalidateOffsets(0);
+    // Keep the rows on screen where they are while the ones above them go away.
+    if (removedHeight && window.scrollY > 0) {
+      window.scrollBy(0, -removedHeight);
+    }
+    scheduleRender();
+  }
+
+  function applyStatus(message) {
+    if (Array.isArray(message.processes)) {
+      renderProcesses(message.processes);
+    }
+    if (Array.isArray(message.enabledLevels) && message.enabledLevels.join(',') !== state.levelsKey) {
+      // Only a settings change resets the checkboxes; otherwise they keep what the user picked.
+      state.levelsKey = message.enabledLevels.join(',');
+      state.enabledLevels = new Set(message.enabledLevels);
+      renderLevelFilters();
+      applyFilters(false);
+    }
+    serverStatus.textContent = `(${message.server}, clients: ${message.clientCount})`;
   }
 
   window.addEventListener('message', event => {
@@ -193,29 +902,45 @@
 
     if (message.type === 'init') {
       state.logs = [];
-      state.entryElements.clear();
-      logList.innerHTML = '';
+      state.rows = [];
+      state.visibleRows = [];
+      state.mounted = [];
+      state.channels.clear();
+      state.groupStacks.clear();
+      state.inspections.clear();
+      state.readOnly = Boolean(message.readOnly);
+      rowsLayer.textContent = '';
+      invalidateOffsets(0);
+      applyStatus(message);
 
       if (Array.isArray(message.logs)) {
-        for (const entry of message.logs) {
-          appendEntry(entry);
-        }
+        appendEntries(message.logs);
       }
 
-      if (Array.isArray(message.enabledLevels)) {
-        state.enabledLevels = new Set(message.enabledLevels);
-        renderLevelFilters();
-      }
+      clearButton.hidden = state.readOnly;
+      scheduleRender();
+      return;
+    }
+
+    if (message.type === 'append' && Array.isArray(message.entries)) {
+      trimEntries(message.trimBefore);
+      appendEntries(message.entries);
+      return;
+    }
 
-      serverStatus.textContent = `(${message.server}, clients: ${message.clientCount})`;
+    if (message.type === 'status') {
+      applyStatus(message);
       return;
     }
 
-    if (message.type === 'append' && message.entry) {
-      appendEntry(message.entry);
-      serverStatus.textContent = `(${message.server}, clients: ${message.clientCount})`;
+    if (message.type === 'inspectResult') {
+      showInspectResult(message);
       return;
     }
+
+    if (message.type === 'scope') {
+      setScope(message.scope);
+    }
   });
 
   init();